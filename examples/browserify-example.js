@@ -4,7 +4,7 @@
  */
 
 // Browserify will bundle this for browser use
-const { WorkBoots } = require('../dist/work-boots.browser.js');
+const { WorkBoots, WorkBootsPool } = require('../dist/work-boots.browser.js');
 
 // Example 1: Basic Usage
 async function basicExample() {
@@ -70,8 +70,10 @@ async function performanceExample() {
 async function largeDataExample() {
   console.log('\n=== Large Data Example ===');
   
+  // typed array buffers in messages are transferred rather than copied
   const workBoots = new WorkBoots({
-    socksFile: './worker-universal.js'
+    socksFile: './worker-universal.js',
+    autoTransfer: true
   });
 
   workBoots.onMessage(({ data }) => {
@@ -89,6 +91,7 @@ async function largeDataExample() {
     object: Object.fromEntries(
       new Array(1000).fill(0).map((_, i) => [`key${i}`, `value${i}`])
     ),
+    samples: new Float64Array(10000),
     timestamp: Date.now()
   };
 
@@ -150,7 +153,30 @@ async function multipleWorkersExample() {
   }, 1000);
 }
 
-// Example 7: Environment Detection
+// Example 7: Worker Pool
+async function workerPoolExample() {
+  console.log('\n=== Worker Pool Example ===');
+
+  // worker-rpc.js calls socks.expose({ process }) instead of socks.onMessage, it imports Socks so it loads as a module
+  const pool = new WorkBootsPool({
+    socksFile: './worker-rpc.js',
+    workerOptions: { type: 'module' },
+    size: 3
+  });
+
+  await pool.ready();
+
+  // each task runs on the least busy worker, extra tasks wait in the pool's queue
+  const results = await Promise.all(
+    new Array(6).fill(0).map((_, i) => pool.exec('process', { taskId: i }))
+  );
+  console.log('Pool results:', results);
+
+  pool.terminate();
+  console.log('Pool terminated');
+}
+
+// Example 8: Environment Detection
 function environmentDetectionExample() {
   console.log('\n=== Environment Detection Example ===');
   
@@ -165,7 +191,7 @@ function environmentDetectionExample() {
   console.log('- Worker factory type:', typeof workBoots.createDefaultWorkerFactory());
 }
 
-// Example 8: Message Queuing
+// Example 9: Message Queuing
 async function messageQueuingExample() {
   console.log('\n=== Message Queuing Example ===');
   
@@ -196,6 +222,7 @@ async function runAllExamples() {
     await largeDataExample();
     await customWorkerExample();
     await multipleWorkersExample();
+    await workerPoolExample();
     environmentDetectionExample();
     await messageQueuingExample();
     
@@ -213,6 +240,7 @@ module.exports = {
   largeDataExample,
   customWorkerExample,
   multipleWorkersExample,
+  workerPoolExample,
   environmentDetectionExample,
   messageQueuingExample,
   runAllExamples
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+describe('cancellation', () => {
+  describe('Worker mode', () => {
+    test('should hand exposed methods a context after their arguments', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          describe: (a, b, context) => ({ a, b, aborted: context.signal.aborted, id: typeof context.id })
+        }
+      });
+
+      await expect(workBoots.call('describe', 1, 2)).resolves.toEqual({ a: 1, b: 2, aborted: false, id: 'number' });
+    });
+
+    test('should reject with an AbortError and abort the handler signal', async () => {
+      let handlerSignal;
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          search: (query, { signal }) => {
+            handlerSignal = signal;
+            return new Promise(() => {});
+          }
+        }
+      });
+      await workBoots.ready();
+      const controller = new AbortController();
+
+      const pending = workBoots.invoke('search', ['boots'], { signal: controller.signal });
+      await wait(20);
+      controller.abort();
+
+      const error = await pending.catch(e => e);
+      expect(error.name).toBe('AbortError');
+      expect(workBoots.pendingCalls.size).toBe(0);
+      await wait(20);
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    test('should not send back the result of a cancelled call', async () => {
+      const { workBoots, socks } = createWorkerBoots({
+        methods: {
+          slow: (ms) => new Promise(resolve => setTimeout(() => resolve('done'), ms))
+        }
+      });
+      await workBoots.ready();
+      const postMessage = jest.spyOn(socks, 'postMessage');
+      const controller = new AbortController();
+
+      const pending = workBoots.invoke('slow', [30], { signal: controller.signal });
+      await wait(5);
+      controller.abort();
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      await wait(50);
+
+      expect(postMessage).not.toHaveBeenCalled();
+      expect(socks.controllers.size).toBe(0);
+    });
+
+    test('should reject without posting when the signal is already aborted', async () => {
+      const search = jest.fn();
+      const { workBoots, worker } = createWorkerBoots({ methods: { search } });
+      await workBoots.ready();
+      const postMessage = jest.spyOn(worker, 'postMessage');
+
+      const error = await workBoots.invoke('search', [], { signal: AbortSignal.abort() }).catch(e => e);
+
+      expect(error.name).toBe('AbortError');
+      expect(postMessage).not.toHaveBeenCalled();
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('should reject calls aborted while waiting for ready()', async () => {
+      const search = jest.fn();
+      const { workBoots } = createWorkerBoots({ methods: { search } });
+      const controller = new AbortController();
+
+      const pending = workBoots.invoke('search', [], { signal: controller.signal });
+      controller.abort(new Error('user navigated away'));
+
+      const error = await pending.catch(e => e);
+      expect(error.name).toBe('AbortError');
+      expect(error.cause.message).toBe('user navigated away');
+      await workBoots.ready();
+      await wait(20);
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('should still resolve calls that finish before the signal aborts', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { add: (a, b) => a + b } });
+      const controller = new AbortController();
+
+      await expect(workBoots.invoke('add', [1, 2], { signal: controller.signal })).resolves.toBe(3);
+      controller.abort();
+    });
+
+    test('should abort streams and stop their generator', async () => {
+      let generatorSignal;
+      let finished = false;
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          forever: async function* ({ signal }) {
+            generatorSignal = signal;
+            try {
+              for (let i = 0; ; i++) {
+                yield i;
+              }
+            } finally {
+              finished = true;
+            }
+          }
+        }
+      });
+      const controller = new AbortController();
+      const values = [];
+
+      const error = await (async () => {
+        for await (const value of workBoots.stream('forever', [], { highWaterMark: 2, signal: controller.signal })) {
+          values.push(value);
+          if (values.length === 2) {
+            controller.abort();
+          }
+        }
+      })().catch(e => e);
+      await wait(30);
+
+      expect(error.name).toBe('AbortError');
+      expect(values).toEqual([0, 1]);
+      expect(generatorSignal.aborted).toBe(true);
+      expect(finished).toBe(true);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should abort the handler signal and reject with an AbortError', async () => {
+      const workBoots = createLocalBoots();
+      await workBoots.ready();
+      const controller = new AbortController();
+
+      const pending = workBoots.invoke('untilAborted', [], { signal: controller.signal });
+      await wait(5);
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(workBoots.call('aborted')).resolves.toBe(1);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+describe('channels', () => {
+  test('should return the same channel for the same name', () => {
+    const { workBoots, socks } = createWorkerBoots();
+
+    expect(workBoots.channel('index')).toBe(workBoots.channel('index'));
+    expect(workBoots.channel('index')).not.toBe(workBoots.channel('parse'));
+    expect(socks.channel('index').name).toBe('index');
+    expect(() => workBoots.channel('')).toThrow('channel names must be non-empty strings');
+  });
+
+  describe('Worker mode', () => {
+    test('should only deliver messages to the channel with the same name', async () => {
+      const received = { index: [], parse: [] };
+      const { workBoots } = createWorkerBoots({
+        setup: socks => {
+          socks.channel('index').onMessage(({ data }) => received.index.push(data));
+          socks.channel('parse').onMessage(({ data }) => received.parse.push(data));
+        }
+      });
+
+      workBoots.channel('index').postMessage({ doc: 1 });
+      workBoots.channel('parse').postMessage('text');
+      await workBoots.ready();
+      await wait(20);
+
+      expect(received).toEqual({ index: [{ doc: 1 }], parse: ['text'] });
+    });
+
+    test('should keep channel messages away from the default message listeners', async () => {
+      const { workBoots, socks } = createWorkerBoots({
+        setup: socks => {
+          const index = socks.channel('index');
+          index.onMessage(({ data }) => index.postMessage(data * 2));
+        }
+      });
+      const plain = jest.fn();
+      const socksPlain = jest.fn();
+      socks.on('message', socksPlain);
+      await workBoots.ready();
+      workBoots.on('message', plain);
+      const doubled = new Promise(resolve => workBoots.channel('index').onMessage(({ data }) => resolve(data)));
+
+      workBoots.channel('index').postMessage(21);
+
+      // the reply comes after the socks handled the message, so both sides had their chance to misroute it
+      await expect(doubled).resolves.toBe(42);
+      expect(plain).not.toHaveBeenCalled();
+      expect(socksPlain).not.toHaveBeenCalled();
+    });
+
+    test('should replace the onMessage callback but keep on() listeners', async () => {
+      const { workBoots, socks } = createWorkerBoots();
+      await workBoots.ready();
+      const channel = workBoots.channel('index');
+      const first = jest.fn();
+      const second = jest.fn();
+      const extra = jest.fn();
+      channel.onMessage(first);
+      channel.onMessage(second);
+      channel.on('message', extra);
+
+      socks.channel('index').postMessage('hello');
+      await wait(20);
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledWith({ data: 'hello' });
+      expect(extra).toHaveBeenCalledWith({ data: 'hello' });
+    });
+
+    test('should report errors thrown by socks channel listeners to onError', async () => {
+      const { workBoots } = createWorkerBoots({
+        setup: socks => {
+          socks.channel('index').onMessage(() => { throw new RangeError('bad document'); });
+        }
+      });
+      const errors = [];
+      workBoots.onError(error => errors.push(error));
+
+      workBoots.channel('index').postMessage({});
+      await workBoots.ready();
+      await wait(20);
+
+      expect(errors.map(({ name, message }) => ({ name, message }))).toEqual([{ name: 'RangeError', message: 'bad document' }]);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should multiplex channels over onMessageLocal', async () => {
+      const workBoots = createLocalBoots({ socksFile: './work-boots.test.channels.socks.js' });
+      const upper = [];
+      const sums = [];
+      const plain = [];
+      workBoots.channel('upper').onMessage(({ data }) => upper.push(data));
+      workBoots.channel('math').onMessage(({ data }) => sums.push(data));
+      workBoots.onMessage(({ data }) => plain.push(data));
+      await workBoots.ready();
+
+      workBoots.channel('upper').postMessage('boots');
+      workBoots.channel('math').postMessage({ a: 1, b: 2 });
+      workBoots.postMessage('hi');
+      await wait(10);
+
+      expect(upper).toEqual(['BOOTS']);
+      expect(sums).toEqual([3]);
+      expect(plain).toContainEqual({ plain: 'hi' });
+      expect(plain).not.toContain('BOOTS');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+import { WorkBoots } from './index.js';
+import { MockNodeWorker, createWorkerBoots } from './test-utils.js';
+
+describe('Error propagation', () => {
+  describe('Worker mode', () => {
+    test('should surface exceptions thrown inside socks message handlers', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.onMessage(() => { throw new TypeError('handler exploded'); });
+      socks.ready();
+
+      const surfaced = new Promise(resolve => workBoots.onError(resolve));
+      workBoots.postMessage({ go: true });
+      const error = await surfaced;
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('TypeError');
+      expect(error.message).toBe('handler exploded');
+      expect(error.stack).toContain('handler exploded');
+    });
+
+    test('should surface rejections from async socks message handlers', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.onMessage(async () => { throw new Error('async handler exploded'); });
+      socks.ready();
+
+      const surfaced = new Promise(resolve => workBoots.onError(resolve));
+      workBoots.postMessage({ go: true });
+
+      await expect(surfaced).resolves.toMatchObject({ message: 'async handler exploded' });
+    });
+
+    test('should surface worker script and messageerror events', () => {
+      const { workBoots, worker } = createWorkerBoots({ ready: false });
+      const errors = [];
+      workBoots.onError(error => errors.push(error));
+
+      worker.onerror({ message: 'Uncaught SyntaxError', filename: 'worker.js', lineno: 3 });
+      worker.onmessageerror({});
+
+      expect(errors.map(({ message }) => message)).toEqual([
+        'Uncaught SyntaxError (worker.js:3)',
+        'worker message could not be deserialized'
+      ]);
+    });
+
+    test('should surface exceptions thrown inside boots message listeners', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.onMessage(({ data }) => socks.postMessage(data));
+      socks.ready();
+
+      workBoots.onMessage(() => { throw new Error('listener exploded'); });
+      workBoots.on('message', async () => { throw new Error('async listener exploded'); });
+      const errors = [];
+      const surfaced = new Promise(resolve => workBoots.onError(error => errors.push(error.message) === 2 && resolve()));
+      workBoots.postMessage({ go: true });
+      await surfaced;
+
+      expect(errors).toEqual(['listener exploded', 'async listener exploded']);
+    });
+
+    test('should report exit codes from worker threads and reject pending calls', async () => {
+      const worker = new MockNodeWorker('./worker.js');
+      const workBoots = new WorkBoots({
+        socksFile: './worker.js',
+        instantiateWorker: () => worker
+      });
+
+      const codes = [];
+      workBoots.onExit(code => codes.push(code));
+      const errors = [];
+      workBoots.onError(error => errors.push(error));
+      await workBoots.ready();
+
+      const pending = workBoots.call('anything');
+      worker.emit('error', new Error('segfault-ish'));
+      worker.emit('exit', 2);
+
+      await expect(pending).rejects.toThrow('worker exited with code 2 before the call completed');
+      expect(codes).toEqual([2]);
+      expect(errors.map(({ message }) => message)).toEqual(['segfault-ish']);
+    });
+
+    test('should report an exit when a browser style worker is terminated', () => {
+      const { workBoots } = createWorkerBoots({ ready: false });
+      const codes = [];
+      workBoots.onExit(code => codes.push(code));
+
+      workBoots.terminate();
+      workBoots.terminate();
+
+      expect(codes).toEqual([0]);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should surface exceptions thrown inside socks message handlers', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.error.socks.js',
+        instantiateWorker: () => { throw new Error('no workers here'); }
+      });
+      await workBoots.ready();
+
+      const errors = [];
+      workBoots.onError(error => errors.push(error));
+      workBoots.postMessage({ value: 42 });
+
+      expect(errors.length).toBe(1);
+      expect(errors[0].name).toBe('RangeError');
+      expect(errors[0].message).toBe('cannot handle 42');
+    });
+
+    test('should report an exit when terminated', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: () => { throw new Error('no workers here'); }
+      });
+      await workBoots.ready();
+
+      const codes = [];
+      workBoots.onExit(code => codes.push(code));
+      workBoots.terminate();
+
+      expect(codes).toEqual([0]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots } from './index.js';
+import { wait, createLinkedWorker } from './test-utils.js';
+
+describe('instantiateWorker', () => {
+  describe('async factories', () => {
+    test('should wait for the worker before wiring listeners', async () => {
+      let worker;
+      const workBoots = new WorkBoots({
+        socksFile: './worker.js',
+        instantiateWorker: async () => {
+          await wait(10);
+          ({ worker } = createLinkedWorker({ methods: { add: (a, b) => a + b } }));
+          return worker;
+        }
+      });
+
+      expect(workBoots.worker).toBeUndefined();
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+      expect(workBoots.worker).toBe(worker);
+      expect(workBoots.supportsWorker).toBe(true);
+      expect(typeof worker.onmessage).toBe('function');
+      await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+    });
+
+    test('should queue messages posted while the factory is pending', async () => {
+      const received = [];
+      const workBoots = new WorkBoots({
+        socksFile: './worker.js',
+        instantiateWorker: () => wait(10).then(() => {
+          const { worker, socks } = createLinkedWorker();
+          socks.onMessage(({ data }) => received.push(data));
+          return worker;
+        })
+      });
+
+      workBoots.postMessage({ early: true });
+      await workBoots.ready();
+      await wait(20);
+
+      expect(received).toEqual([{ early: true }]);
+    });
+
+    test('should fall back to the main thread when the factory rejects', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: async () => { throw new Error('no workers here'); }
+      });
+
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+      expect(workBoots.supportsWorker).toBe(false);
+      expect(workBoots.worker).toBeUndefined();
+      await expect(workBoots.call('add', 1, 2)).resolves.toBe(3);
+    });
+
+    test('should fall back when the factory resolves without a worker', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: async () => undefined
+      });
+
+      await workBoots.ready();
+      expect(workBoots.supportsWorker).toBe(false);
+    });
+
+    test('should terminate a worker that resolves after terminate()', async () => {
+      const { worker } = createLinkedWorker();
+      let resolveWorker;
+      const workBoots = new WorkBoots({
+        socksFile: './worker.js',
+        instantiateWorker: () => new Promise(resolve => { resolveWorker = resolve; })
+      });
+      const ready = workBoots.ready().catch(e => e);
+
+      workBoots.terminate();
+      resolveWorker(worker);
+      await wait(10);
+
+      expect(worker.terminated).toBe(true);
+      expect(workBoots.worker).toBeUndefined();
+      expect((await ready).message).toBe('worker terminated before socks.ready() was called');
+    });
+  });
+
+  describe('fallback: false', () => {
+    test('should reject ready() when an async factory rejects', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: async () => { throw new Error('no workers here'); },
+        fallback: false
+      });
+
+      const error = await workBoots.ready().catch(e => e);
+      expect(error.message).toBe('failed to instantiate a worker for ./work-boots.test.rpc.socks.js: no workers here');
+      expect(error.cause.message).toBe('no workers here');
+      expect(workBoots.socks).toBeUndefined();
+    });
+
+    test('should reject ready() when a sync factory throws', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: () => { throw new Error('no workers here'); },
+        fallback: false
+      });
+
+      await expect(workBoots.call('add', 1, 2)).rejects.toThrow('failed to instantiate a worker');
+    });
+  });
+
+  test('should accept async factories when restarting a crashed worker', async () => {
+    const first = createLinkedWorker({ methods: { which: () => 'first' } });
+    let second;
+    const factory = jest.fn()
+      .mockReturnValueOnce(first.worker)
+      .mockImplementationOnce(async () => {
+        second = createLinkedWorker({ methods: { which: () => 'second' } });
+        return second.worker;
+      });
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: factory,
+      restart: { maxRestarts: 1, backoff: 0 }
+    });
+    await workBoots.ready();
+
+    const restarted = new Promise(resolve => workBoots.on('restarted', resolve));
+    workBoots.handleExit(1);
+    await restarted;
+
+    expect(factory).toHaveBeenCalledTimes(2);
+    expect(workBoots.worker).toBe(second.worker);
+    await expect(workBoots.call('which')).resolves.toBe('second');
+  });
+});
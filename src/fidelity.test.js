@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { WorkBoots } from './index.js';
+import { wait } from './test-utils.js';
+
+const createLocalBoots = (options = {}) => new WorkBoots({
+  socksFile: './work-boots.test.fidelity.socks.js',
+  instantiateWorker: () => { throw new Error('no workers here'); },
+  ...options
+});
+
+describe('fidelity', () => {
+  test('should structured clone messages sent to the socks', async () => {
+    const workBoots = createLocalBoots({ fidelity: true });
+    await workBoots.ready();
+    const payload = { when: new Date(0), tags: new Set(['a']) };
+
+    workBoots.postMessage(payload);
+    payload.late = true;
+    const received = await workBoots.call('last');
+
+    expect(payload.touched).toBeUndefined();
+    expect(received).not.toBe(payload);
+    expect(received.late).toBeUndefined();
+    expect(received.when).toEqual(new Date(0));
+    expect([...received.tags]).toEqual(['a']);
+  });
+
+  test('should detach buffers transferred to the socks', async () => {
+    const workBoots = createLocalBoots({ fidelity: true });
+    await workBoots.ready();
+    const buffer = new ArrayBuffer(16);
+
+    workBoots.postMessage({ buffer }, null, [buffer]);
+    const received = await workBoots.call('last');
+
+    expect(buffer.byteLength).toBe(0);
+    expect(received.buffer.byteLength).toBe(16);
+  });
+
+  test('should detach buffers the socks transfers back', async () => {
+    const workBoots = createLocalBoots({ fidelity: true });
+    const messages = [];
+    workBoots.on('message', ({ data }) => messages.push(data));
+    await workBoots.ready();
+
+    await expect(workBoots.call('sendBuffer')).resolves.toBe(0);
+    await wait(10);
+    expect(messages).toContainEqual({ buffer: expect.any(ArrayBuffer) });
+    expect(messages.find(data => data?.buffer).buffer.byteLength).toBe(8);
+  });
+
+  test('should hand the socks exactly what was posted, like a worker does', async () => {
+    const workBoots = createLocalBoots({ fidelity: true });
+    await workBoots.ready();
+
+    workBoots.postMessage({ data: 1, extra: 2 });
+    await expect(workBoots.call('last')).resolves.toEqual({ data: 1, extra: 2, touched: true });
+    workBoots.postMessage(null);
+    await expect(workBoots.call('last')).resolves.toBeNull();
+  });
+
+  test('should throw for messages a worker could not clone', async () => {
+    const workBoots = createLocalBoots({ fidelity: true });
+    await workBoots.ready();
+
+    expect(() => workBoots.postMessage({ callback: () => {} })).toThrow();
+  });
+
+  test('should keep passing references without fidelity', async () => {
+    const workBoots = createLocalBoots();
+    await workBoots.ready();
+    const payload = { value: 1 };
+    const buffer = new ArrayBuffer(8);
+
+    workBoots.postMessage(payload);
+    workBoots.postMessage({ buffer }, null, [buffer]);
+
+    expect(payload.touched).toBe(true);
+    expect(buffer.byteLength).toBe(8);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import { WorkBoots, Socks } from './index.js';
+import { createMockWorkerPair, wait, createWorkerBoots } from './test-utils.js';
+
+// a socks whose handshake is altered, to play an older or smaller socks
+const createAlteredBoots = (alter = handshake => handshake) => createWorkerBoots({
+  methods: { add: (a, b) => a + b },
+  socksOptions: { name: 'mock-socks' },
+  setup: (socks) => {
+    socks.handshake = () => alter(Socks.prototype.handshake.call(socks));
+  }
+});
+
+describe('handshake', () => {
+  test('should resolve ready() with the negotiated capabilities', async () => {
+    const { workBoots } = createAlteredBoots();
+
+    await expect(workBoots.ready()).resolves.toEqual({ rpc: true, streaming: true, channels: true, transfer: true });
+    expect(workBoots.socksName).toBe('mock-socks');
+    expect(workBoots.capabilities.rpc).toBe(true);
+  });
+
+  test('should narrow capabilities to what the fallback supports', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './work-boots.test.rpc.socks.js',
+      instantiateWorker: () => { throw new Error('no workers here'); }
+    });
+
+    await expect(workBoots.ready()).resolves.toEqual({ rpc: true, streaming: true, channels: true, transfer: false });
+  });
+
+  test('should reject ready() when the socks speaks another protocol version', async () => {
+    const { workBoots } = createAlteredBoots(handshake => ({ ...handshake, version: WorkBoots.protocolVersion + 1 }));
+
+    const error = await workBoots.ready().catch(e => e);
+    expect(error.message).toBe(`socks mock-socks speaks protocol version ${WorkBoots.protocolVersion + 1}, WorkBoots speaks version ${WorkBoots.protocolVersion}`);
+  });
+
+  test('should reject ready() when an older socks announces itself with "socks loaded"', async () => {
+    const { worker, scope } = createMockWorkerPair();
+    const workBoots = new WorkBoots({
+      socksFile: './legacy.js',
+      instantiateWorker: () => worker
+    });
+    scope.postMessage('socks loaded');
+
+    const error = await workBoots.ready().catch(e => e);
+    expect(error.message).toBe(`socks ./legacy.js speaks protocol version 0, WorkBoots speaks version ${WorkBoots.protocolVersion}`);
+  });
+
+  test('should reject calls the socks has no capability for', async () => {
+    const { workBoots } = createAlteredBoots(handshake => ({ ...handshake, capabilities: { channels: true } }));
+
+    await expect(workBoots.ready()).resolves.toMatchObject({ rpc: false, streaming: false });
+    await expect(workBoots.call('add', 1, 2)).rejects.toThrow('socks mock-socks does not support rpc');
+
+    const stream = workBoots.stream('count', [3]);
+    await expect(stream.next()).rejects.toThrow('socks mock-socks does not support streaming');
+  });
+
+  test('should keep the handshake away from listeners and deliver "socks loaded" like any message', async () => {
+    const { workBoots, socks } = createAlteredBoots();
+    const messages = [];
+    workBoots.onMessage(({ data }) => messages.push(data));
+
+    await workBoots.ready();
+    socks.postMessage('socks loaded');
+    socks.ready();
+    await wait(10);
+
+    expect(messages).toEqual(['socks loaded']);
+  });
+});
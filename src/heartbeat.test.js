@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots } from './index.js';
+import { wait, createLinkedWorker } from './test-utils.js';
+
+// drops everything sent to the socks, like a thread stuck in a loop
+const hang = (scope) => {
+  const onmessage = scope.onmessage;
+  scope.onmessage = null;
+  return () => { scope.onmessage = onmessage; };
+};
+
+describe('heartbeat', () => {
+  test('should stay quiet while the socks answers pings', async () => {
+    const { worker } = createLinkedWorker();
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => worker,
+      heartbeat: { interval: 5, maxMissed: 2 }
+    });
+    const unresponsive = jest.fn();
+    workBoots.on('unresponsive', unresponsive);
+
+    await workBoots.ready();
+    await wait(50);
+
+    expect(unresponsive).not.toHaveBeenCalled();
+    workBoots.terminate();
+  });
+
+  test('should emit unresponsive when pings go unanswered, and responsive once they are answered again', async () => {
+    const { worker, scope } = createLinkedWorker();
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => worker,
+      heartbeat: { interval: 5, maxMissed: 2 }
+    });
+    await workBoots.ready();
+
+    const resume = hang(scope);
+    const unresponsive = await new Promise(resolve => workBoots.on('unresponsive', resolve));
+    expect(unresponsive).toEqual({ missed: 2, interval: 5 });
+
+    resume();
+    const responsive = await new Promise(resolve => workBoots.on('responsive', resolve));
+    expect(responsive.missed).toBeGreaterThanOrEqual(2);
+    workBoots.terminate();
+  });
+
+  test('should terminate and replace an unresponsive worker when asked to', async () => {
+    const first = createLinkedWorker({ methods: { which: () => 'first', never: () => new Promise(() => {}) } });
+    const factory = jest.fn()
+      .mockReturnValueOnce(first.worker)
+      .mockImplementationOnce(() => createLinkedWorker({ methods: { which: () => 'second' } }).worker);
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: factory,
+      heartbeat: { interval: 5, maxMissed: 2, terminate: true },
+      restart: { maxRestarts: 1, backoff: 0 }
+    });
+    const exits = [];
+    workBoots.onExit(code => exits.push(code));
+    await workBoots.ready();
+
+    const pending = workBoots.call('never').catch(e => e);
+    hang(first.scope);
+    await new Promise(resolve => workBoots.on('restarted', resolve));
+
+    expect((await pending).message).toBe('worker exited with code 1 before the call completed');
+    expect(first.worker.terminated).toBe(true);
+    expect(exits).toEqual([1]);
+    await expect(workBoots.call('which')).resolves.toBe('second');
+    workBoots.terminate();
+  });
+
+  test('should not ping the main thread fallback', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './work-boots.test.rpc.socks.js',
+      instantiateWorker: () => { throw new Error('no workers here'); },
+      heartbeat: { interval: 5, maxMissed: 1 }
+    });
+    const unresponsive = jest.fn();
+    workBoots.on('unresponsive', unresponsive);
+
+    await workBoots.ready();
+    await wait(30);
+
+    expect(workBoots.heartbeatTimer).toBeUndefined();
+    expect(unresponsive).not.toHaveBeenCalled();
+  });
+});
@@ -6,6 +6,465 @@
 // Detect environment
 const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
 const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+// only known while this script is first evaluated, inline socks workers load the bundle back from it
+const currentScriptUrl = isBrowser ? document.currentScript?.src : undefined;
+
+// Reserved key marking internal protocol frames, these never reach user onMessage callbacks
+const FRAME_KEY = '__workboots';
+
+const isFrame = (data, type) => !!data && typeof data === 'object' && data[FRAME_KEY] === type;
+
+// bumped whenever frames change incompatibly, boots and socks must agree on it in the handshake
+const PROTOCOL_VERSION = 1;
+
+// what this version of the protocol can do, narrowed in the handshake to what both sides support
+const PROTOCOL_CAPABILITIES = ['rpc', 'streaming', 'channels', 'transfer'];
+
+// upper bounds in ms of the call latency histogram buckets, see WorkBoots.getStats
+const LATENCY_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, 5000, Infinity];
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// what middleware is handed for each message, type is the frame type or 'message' for anything user code posted
+function middlewareContext(direction, data, transfer, respond) {
+  const type = data && typeof data === 'object' && typeof data[FRAME_KEY] === 'string' ? data[FRAME_KEY] : 'message';
+  return { direction, type, data, transfer, respond };
+}
+
+// runs a message through middleware in order, done is only reached if every one of them called next()
+function runMiddleware(middleware, context, done) {
+  const step = async (index, current) => {
+    if (index === middleware.length) {
+      return done(current);
+    }
+    let called = false;
+    return middleware[index](current, (next = current) => {
+      if (called) {
+        throw new Error('middleware called next() more than once');
+      }
+      called = true;
+      return step(index + 1, next);
+    });
+  };
+  return step(0, context);
+}
+
+// Errors cannot be structured cloned reliably across every environment, so send the parts we care about
+function serializeError(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+  }
+  return { name: 'Error', message: String(error) };
+}
+
+function deserializeError({ name = 'Error', message, stack } = {}) {
+  const error = new Error(message);
+  error.name = name;
+  if (stack) {
+    error.stack = stack;
+  }
+  return error;
+}
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+  builds the logger WorkBoots and Socks write their diagnostics to, silent unless asked otherwise.
+
+  @param options [string|object] a level ('debug', 'info', 'warn', 'error' or 'silent'), or
+    { level = 'debug', namespace, sink = console } where sink is any console-like object
+  @param namespace [string] prefixed to every line so several instances can be told apart
+ */
+function createLogger(options = 'silent', namespace = 'workboots') {
+  const { level = 'debug', sink = console, namespace: prefix = namespace } =
+    typeof options === 'string' ? { level: options } : (options || { level: 'silent' });
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  return Object.fromEntries(LOG_LEVELS.slice(0, -1).map((method, index) => [method, (...args) => {
+    if (threshold !== -1 && index >= threshold) {
+      (sink[method] || sink.log).call(sink, `[workboots:${prefix}]`, ...args);
+    }
+  }]));
+}
+
+// worker error events carry the error in a different shape in every environment
+function toError(event, fallbackMessage = 'worker error') {
+  if (event instanceof Error) {
+    return event;
+  }
+  if (event?.error instanceof Error) {
+    return event.error;
+  }
+
+  const error = new Error(event?.message || fallbackMessage);
+  if (event?.filename) {
+    error.message += ` (${event.filename}:${event.lineno})`;
+  }
+  return error;
+}
+
+// browser Workers only understand these, worker_threads takes everything
+const BROWSER_WORKER_OPTIONS = ['name', 'type', 'credentials'];
+
+function pickOptions(options, keys) {
+  return Object.fromEntries(keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+}
+
+// aborted tasks reject with an AbortError, keeping the signal's own reason when it already is one
+function createAbortError(signal) {
+  if (signal?.reason?.name === 'AbortError') {
+    return signal.reason;
+  }
+  const error = new Error('the worker task was aborted', { cause: signal?.reason });
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+  builds the script for a worker running an inline socks, see WorkBoots.fromFunction. The worker loads
+  Socks from socksModule, hands a new Socks to the source, and calls socks.ready() once it has returned,
+  unless the source already did.
+
+  @param source [function|string] a function taking socks, or the body of one
+  @param socksModule [string] imported in Node, and loaded with importScripts in browsers
+ */
+function createSocksScript(source, socksModule) {
+  const run = typeof source === 'function' ? `(${source})` : `(function (socks) {\n${source}\n})`;
+  const start = `async (Socks, self) => {
+  const socks = new Socks(self);
+  await ${run}(socks);
+  if (!socks.isReady) {
+    socks.ready();
+  }
+}`;
+  if (isNode) {
+    return `const { parentPort } = require('worker_threads');
+import(${JSON.stringify(socksModule)}).then(({ Socks }) => (${start})(Socks, parentPort));`;
+  }
+  return `importScripts(${JSON.stringify(socksModule)});
+(${start})(self.WorkBoots.Socks, self);`;
+}
+
+/**
+  transports carry messages between WorkBoots and Socks. instantiateWorker may return one in place of a
+  Worker, and new Socks(transport) takes one in place of self, anything else is adapted by adaptTransport.
+
+    send(data, transfer) posts a message to the other side
+    subscribe({ message, error, messageerror, exit }) delivers MessageEvent-like { data } objects to
+      message, worker errors, and exit codes, only the handlers given are attached. Returns a function
+      that unsubscribes them.
+    close() stops the other side, a worker is terminated
+    capabilities { transfer, exit } whether transfer lists are honoured, and whether exit is reported
+      by the transport itself, otherwise boots reports exit code 0 when it closes it
+ */
+const transports = {
+  // browser Workers and worker scopes, or anything else with onmessage and postMessage(data, transfer)
+  worker(worker) {
+    return {
+      capabilities: { transfer: true, exit: false },
+      send: (data, transfer = []) => worker.postMessage(data, transfer),
+      subscribe: (handlers) => {
+        const events = Object.keys(handlers).filter(event => event !== 'exit' && handlers[event]);
+        events.forEach(event => { worker[`on${event}`] = handlers[event]; });
+        return () => events.forEach(event => { worker[`on${event}`] = null; });
+      },
+      close: () => worker.terminate?.()
+    };
+  },
+
+  // worker_threads Workers, they report their own exit code
+  workerThreads(worker) {
+    return {
+      capabilities: { transfer: true, exit: true },
+      send: (data, transfer = []) => worker.postMessage(data, transfer),
+      subscribe: (handlers) => {
+        const listeners = Object.entries({
+          // worker_threads hand listeners the bare value, wrap it like a browser MessageEvent
+          message: handlers.message && (data => handlers.message({ data })),
+          error: handlers.error,
+          messageerror: handlers.messageerror,
+          exit: handlers.exit
+        }).filter(([, listener]) => listener);
+        listeners.forEach(([event, listener]) => worker.on(event, listener));
+        return () => listeners.forEach(([event, listener]) => worker.removeListener(event, listener));
+      },
+      close: () => worker.terminate()
+    };
+  },
+
+  // either end of a MessageChannel, or Node's parentPort. Node ports are event emitters, browser ports dispatch events
+  messagePort(port) {
+    return {
+      ...(typeof port.on === 'function' ? transports.workerThreads(port) : transports.worker(port)),
+      capabilities: { transfer: true, exit: false },
+      close: () => port.close()
+    };
+  },
+
+  // forked Node processes over IPC, the ChildProcess in the parent or process inside the child
+  childProcess(child) {
+    return {
+      capabilities: { transfer: false, exit: true },
+      send: (data) => child.send(data),
+      subscribe: (handlers) => {
+        const listeners = Object.entries({
+          message: handlers.message && (data => handlers.message({ data })),
+          error: handlers.error,
+          // killed children exit without a code, report 1 like a terminated worker_threads Worker, and the signal
+          exit: handlers.exit && ((code, signal) => handlers.exit(code ?? 1, signal ?? undefined))
+        }).filter(([, listener]) => listener);
+        listeners.forEach(([event, listener]) => child.on(event, listener));
+        return () => listeners.forEach(([event, listener]) => child.removeListener(event, listener));
+      },
+      close: () => (child === globalThis.process ? child.disconnect?.() : child.kill())
+    };
+  },
+
+  // the main thread fallback, messages are handed straight to target.onMessageLocal
+  inProcess(target) {
+    return {
+      capabilities: { transfer: false, exit: false },
+      send: (data, transfer = []) => target.onMessageLocal(data, undefined, transfer),
+      subscribe: () => () => {},
+      close: () => target.terminate?.()
+    };
+  }
+};
+
+// picks the built-in transport for whatever instantiateWorker returned, or what Socks was given as self
+function adaptTransport(endpoint) {
+  if (typeof endpoint.send === 'function' && typeof endpoint.subscribe === 'function') {
+    return endpoint;
+  }
+  if (typeof MessagePort !== 'undefined' && endpoint instanceof MessagePort) {
+    return transports.messagePort(endpoint);
+  }
+  if (typeof endpoint.send === 'function' && typeof endpoint.on === 'function') {
+    return transports.childProcess(endpoint);
+  }
+  if (typeof endpoint.on === 'function') {
+    return transports.workerThreads(endpoint);
+  }
+  return transports.worker(endpoint);
+}
+
+// buffers and ports marked with WorkBoots.keep / Socks.keep, autoTransfer copies these instead
+const keptTransferables = new WeakSet();
+
+function keepTransferable(value) {
+  keptTransferables.add(ArrayBuffer.isView(value) ? value.buffer : value);
+  return value;
+}
+
+// walks a message for ArrayBuffers, MessagePorts and the buffers behind typed arrays, each added once
+function collectTransferables(value, found = new Set(), seen = new WeakSet()) {
+  if (!value || typeof value !== 'object' || seen.has(value)) {
+    return found;
+  }
+  seen.add(value);
+
+  if (ArrayBuffer.isView(value)) {
+    collectTransferables(value.buffer, found, seen);
+  } else if (value instanceof ArrayBuffer || (typeof MessagePort !== 'undefined' && value instanceof MessagePort)) {
+    if (!keptTransferables.has(value)) {
+      found.add(value);
+    }
+  } else if (value instanceof Map) {
+    value.forEach((entry, key) => {
+      collectTransferables(key, found, seen);
+      collectTransferables(entry, found, seen);
+    });
+  } else {
+    (value instanceof Set ? [...value] : Object.values(value)).forEach(entry => collectTransferables(entry, found, seen));
+  }
+  return found;
+}
+
+/**
+  listeners for WorkBoots, Socks and their channels. on() and off() take as many listeners as you
+  like, onMessage and friends go through setCallback and keep a single one that replaces the last.
+  Adding a 'message' listener calls messageListenerAdded, where each starts receiving.
+ */
+class Emitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  /**
+    adds a listener, like addEventListener the same callback is only added once per event. Which
+    events there are is listed in the docs of WorkBoots, Socks and Channel.
+
+    @param event [string]
+    @param callback [function]
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+
+    if (event === 'message') {
+      this.messageListenerAdded(callback);
+    }
+  }
+
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  listenerCount(event) {
+    return this.eventListeners.get(event)?.size || 0;
+  }
+
+  // copied so listeners can remove themselves while being called
+  listeners(event) {
+    return [...(this.eventListeners.get(event) || [])];
+  }
+
+  emit(event, ...args) {
+    this.listeners(event).forEach(callback => callback(...args));
+  }
+
+  setCallback(event, key, callback) {
+    if (this[key]) {
+      this.off(event, this[key]);
+    }
+    this[key] = callback;
+    if (callback) {
+      this.on(event, callback);
+    }
+  }
+
+  messageListenerAdded() {}
+}
+
+/**
+  a named channel multiplexed over the worker (or main thread fallback) of its owner, see
+  WorkBoots.channel and Socks.channel. Channels keep their own listeners, messages posted on
+  one are only delivered to the channel with the same name on the other side.
+
+  @param owner [WorkBoots|Socks] the boots or socks carrying the channel messages
+  @param name [string] the channel name, shared by both sides
+
+  events, added with on(), see Emitter.on:
+    'message' ({ data }) every message posted on the channel with this name on the other side
+ */
+class Channel extends Emitter {
+  constructor(owner, name) {
+    super();
+    this.owner = owner;
+    this.name = name;
+  }
+
+  // queued like any other message until the owner is ready
+  postMessage(data, origin = null, transfer = []) {
+    this.owner.postMessage({ [FRAME_KEY]: 'channel', channel: this.name, payload: data }, origin, transfer);
+  }
+
+  onMessage(callback) {
+    this.setCallback('message', 'onMessageCallback', callback);
+  }
+
+  // the owner carries channel messages, it starts listening once a channel has a listener
+  messageListenerAdded() {
+    this.owner.listen();
+  }
+}
+
+/**
+  the main thread end of boots.stream(), an async iterator over the values a socks method yields.
+  The socks may only send highWaterMark values ahead of the consumer, every half of that consumed
+  is credited back with a 'pull' frame, so a lagging consumer pauses the worker.
+
+  @param boots [WorkBoots] the boots the stream frames travel through
+  @param id [number] the stream id, shared with rpc calls
+  @param highWaterMark [number] how many values may be buffered before the socks waits
+ */
+class StreamReader {
+  constructor(boots, id, highWaterMark) {
+    this.boots = boots;
+    this.id = id;
+    this.highWaterMark = highWaterMark;
+    this.buffer = [];
+    this.waiting = [];
+    this.consumed = 0;
+    this.done = false;
+    this.error = null;
+  }
+
+  push(value) {
+    if (this.waiting.length) {
+      this.waiting.shift().resolve({ value, done: false });
+      this.delivered();
+    } else {
+      this.buffer.push(value);
+    }
+  }
+
+  end() {
+    this.done = true;
+    this.boots.streams.delete(this.id);
+    this.cleanup?.();
+    this.waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+    this.waiting = [];
+  }
+
+  fail(error) {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    this.boots.streams.delete(this.id);
+    this.cleanup?.();
+    if (this.waiting.length) {
+      this.waiting.forEach(({ reject }) => reject(error));
+      this.waiting = [];
+    } else {
+      // thrown once the values that arrived before it have been consumed
+      this.error = error;
+    }
+  }
+
+  delivered() {
+    this.consumed++;
+    if (!this.done && this.consumed >= Math.ceil(this.highWaterMark / 2)) {
+      this.boots.postMessage({ [FRAME_KEY]: 'pull', id: this.id, count: this.consumed });
+      this.consumed = 0;
+    }
+  }
+
+  next() {
+    if (this.buffer.length) {
+      const value = this.buffer.shift();
+      this.delivered();
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  // called by for await when the loop exits early, the socks stops its generator
+  return(value) {
+    if (!this.done) {
+      this.boots.postMessage({ [FRAME_KEY]: 'cancel', id: this.id });
+      this.end();
+    }
+    this.buffer = [];
+    this.error = null;
+    return Promise.resolve({ value, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
 
 // Universal require/import function
 function universalRequire(moduleName) {
@@ -19,9 +478,67 @@ function universalRequire(moduleName) {
 }
 
 // Enhanced WorkBoots with Browserify compatibility
-class WorkBoots {
-  constructor({ socksFile, instantiateWorker = null }) {
-    if (socksFile === undefined) {
+/**
+  runs a socks file in a worker, or on the main thread when workers are not available, and talks
+  to it.
+
+  events, added with on(), see Emitter.on:
+    'message' ({ data }) every message from the socks, the same shape in every mode
+    'error' (Error) see onError
+    'exit' (code, signal) see onExit
+    'restarting' ({ attempt, delay, code }) a crashed worker will be replaced after delay ms
+    'restarted' ({ attempt }) the replacement worker sent its handshake
+    'gave-up' ({ restarts, code }) maxRestarts was reached, the worker stays down
+    'unresponsive' ({ missed, interval }) the worker missed heartbeat.maxMissed pings in a row
+    'responsive' ({ missed }) an unresponsive worker answered a ping again
+    'statechange' ({ state, previous }) boots.state changed, see WorkBoots.setState
+    'stats' (stats) every statsInterval ms, see WorkBoots.getStats
+ */
+class WorkBoots extends Emitter {
+  constructor({
+    socksFile,
+    instantiateWorker = null,
+    restart = null,
+    heartbeat = null,
+    statsInterval = 0,
+    readyTimeout = 0,
+    strict = false,
+    fallback = true,
+    maxQueueLength = Infinity,
+    queueOverflow = 'drop-oldest',
+    logger = 'silent',
+    progressInterval = 100,
+    autoTransfer = false,
+    fidelity = false,
+    isolation = 'thread',
+    socksSource,
+    socksModule = isNode ? 'workboots' : currentScriptUrl,
+    workerOptions = {}
+  }) {
+    super();
+    // inline socks have no file to name them by
+    const socksName = socksFile ?? (socksSource !== undefined ? 'inline socks' : undefined);
+    this.loggerOptions = logger;
+    this.logger = createLogger(logger, socksName);
+    this.pendingCalls = new Map();
+    this.streams = new Map();
+    this.nextCallId = 0;
+    this.channels = new Map();
+    this.outbox = [];
+    this.maxQueueLength = maxQueueLength;
+    this.progressInterval = progressInterval;
+    this.autoTransfer = autoTransfer;
+    this.fidelity = fidelity;
+    this.queueOverflow = queueOverflow;
+    this.state = 'initializing';
+    this.createdAt = now();
+    this.counters = { messagesSent: 0, messagesReceived: 0, messagesDropped: 0, transfers: 0, bytesTransferred: 0 };
+    this.latency = new Map();
+    this.middleware = [];
+    this.pipelines = { send: Promise.resolve(), receive: Promise.resolve() };
+
+    if (socksFile === undefined && socksSource === undefined) {
+      this.state = 'failed';
       this.readyPromise = Promise.reject(new Error('no socksFile defined!'));
       return;
     }
@@ -31,61 +548,171 @@ class WorkBoots {
     this.receivedBeforeReady = [];
     this.isReady = false;
 
+    this.isolation = isolation;
+    this.socksSource = socksSource;
+    this.socksModule = socksModule;
+    this.workerOptions = workerOptions;
+    this.workerData = workerOptions.workerData;
     // Create default worker instantiation function based on environment
     if (!instantiateWorker) {
       instantiateWorker = this.createDefaultWorkerFactory();
     }
 
-    this.readyPromise = new Promise(resolve => {
+    // kept around so a crashed worker can be replaced, see restart()
+    this.socksFile = socksFile;
+    this.instantiateWorker = instantiateWorker;
+    this.restartOptions = restart;
+    this.heartbeatOptions = heartbeat;
+    if (statsInterval > 0) {
+      this.statsTimer = setInterval(() => this.emit('stats', this.getStats()), statsInterval);
+    }
+    this.restarts = 0;
+    this.isRestarting = false;
+
+    this.readyPromise = new Promise((resolve, reject) => {
+      let settled = false;
+      const laced = (handshake) => {
+        if (settled) {
+          return;
+        }
+        let capabilities;
+        try {
+          capabilities = this.negotiate(handshake);
+        } catch (error) {
+          unlaced(error);
+          return;
+        }
+        // the ready listener is only needed until the handshake, then it gets out of the way
+        settled = true;
+        this.off('message', velcroAndLaces);
+        clearTimeout(this.readyTimer);
+        this.isReady = true;
+        this.handshakeMs = now() - this.createdAt;
+        this.setState(this.supportsWorker ? 'ready-worker' : 'ready-local');
+        resolve(capabilities);
+        this.flushOutbox();
+        this.startHeartbeat();
+      };
+      const unlaced = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        this.off('message', velcroAndLaces);
+        clearTimeout(this.readyTimer);
+        clearTimeout(this.restartTimer);
+        this.outbox = [];
+        if (!this.isTerminating) {
+          this.setState('failed');
+          // nothing will ever talk to this socks, so it is not left running
+          this.transport?.close();
+        }
+        reject(error);
+      };
+      this.resolveReady = laced;
+      this.rejectReady = unlaced;
       const velcroAndLaces = (message, ...rest) => {
-        if (message?.data === 'socks loaded') {
-          resolve(this);
-        } else {
-          console.log('received message before socks.ready() was called, ' + JSON.stringify([message, ...rest]));
+        if (this.listenerCount('message') === 1) {
+          this.logger.debug('received message before socks.ready() was called, ' + JSON.stringify([message, ...rest]));
           this.receivedBeforeReady.push([message, ...rest]);
         }
       }
-      this.onMessage(velcroAndLaces);
+      this.on('message', velcroAndLaces);
 
-      if (this.supportsWorker) {
-        try {
-          this.worker = instantiateWorker(socksFile);
-          this.supportsWorker = true;
-          this.isReady = true;
-        } catch (e) {
-          this.worker = undefined;
-          this.supportsWorker = false;
-          console.log('background worker not supported, switching to shorter socks (main thread eval).', e)
-        }
+      if (readyTimeout > 0) {
+        this.readyTimer = setTimeout(() => {
+          unlaced(new Error(`socks file ${socksName} did not call socks.ready() within ${readyTimeout}ms`));
+        }, readyTimeout);
       }
-      if (!this.supportsWorker) {
+
+      // the main thread fallback, the socks file is imported and run right here
+      const enterLocalSocks = (socks) => {
+        this.socks = socks;
+        this.transport = transports.inProcess(this.socks);
+        this.socks.enterBoots(this);
+        // the fallback never waited on socks.ready(), the handshake is read straight off the socks
+        laced(this.socks.handshake());
+      };
+      // an inline socks runs right here too, with its closures intact, and already in boots so it can getWorkerData()
+      const runLocalSource = () => {
+        const socks = new Socks();
+        const run = typeof socksSource === 'function' ? socksSource : new Function('socks', socksSource);
+        this.socks = socks;
+        this.transport = transports.inProcess(socks);
+        socks.enterBoots(this);
+        Promise.resolve().then(() => run(socks)).then(() => {
+          if (!socks.isReady) {
+            socks.ready();
+          }
+          laced(socks.handshake());
+        }).catch((error) => {
+          unlaced(new Error(`inline socks failed: ${error?.message}`, { cause: error }));
+        });
+      };
+      const loadLocalSocks = () => {
         this.supportsWorker = false;
+        if (socksSource !== undefined) {
+          runLocalSource();
+          return;
+        }
         // Handle import errors gracefully with Browserify compatibility
         this.loadSocksFile(socksFile).then(({ socks }) => {
-          this.socks = socks;
-          this.socks.enterBoots(this);
-          this.isReady = true;
-          resolve(this);
+          enterLocalSocks(socks);
         }).catch((error) => {
-          console.log('Failed to import socks file, creating mock socks:', error.message);
+          if (strict) {
+            unlaced(new Error(`failed to import socks file ${socksFile}: ${error.message}`, { cause: error }));
+            return;
+          }
+
+          this.logger.warn('Failed to import socks file, creating mock socks:', error.message);
           // Create a mock socks for testing
           this.socks = {
             enterBoots: (boots) => {
               this.boots = boots;
             },
             onMessageLocal: (message) => {
-              if (this.onMessageCallback) {
-                this.onMessageCallback({ data: message.data });
-              }
+              this.receive({ data: message.data });
             },
             terminate: () => {}
           };
+          this.transport = transports.inProcess(this.socks);
           this.socks.enterBoots(this);
-          this.isReady = true;
-          resolve(this);
+          laced({ version: PROTOCOL_VERSION, name: 'mock', capabilities: {} });
         });
+      };
+      const workerFailed = (e) => {
+        this.worker = undefined;
+        if (settled) {
+          return;
+        }
+        if (!fallback) {
+          unlaced(new Error(`failed to instantiate a worker for ${socksName}: ${e?.message}`, { cause: e }));
+          return;
+        }
+
+        this.logger.info('background worker not supported, switching to shorter socks (main thread eval).', e);
+        loadLocalSocks();
+      };
+
+      if (this.supportsWorker) {
+        try {
+          // factories may return a Worker, or a promise for one (the default Node factory does)
+          const worker = instantiateWorker(socksFile);
+          if (typeof worker?.then === 'function') {
+            worker.then(resolved => this.attachWorker(resolved)).catch(workerFailed);
+          } else {
+            this.attachWorker(worker);
+          }
+        } catch (e) {
+          workerFailed(e);
+        }
+      } else {
+        loadLocalSocks();
       }
     });
+
+    // a failed ready() should never go unnoticed, even when nobody is awaiting it
+    this.readyPromise.catch(error => this.handleError(error));
   }
 
   // Browserify-compatible module loading
@@ -102,134 +729,993 @@ class WorkBoots {
     }
   }
 
-  detectWorkerSupport() {
-    if (isBrowser) {
-      return typeof Worker !== 'undefined';
-    } else if (isNode) {
+  /**
+    marks an ArrayBuffer, MessagePort or typed array so autoTransfer copies it instead of transferring
+    it, for buffers the sender must keep using. Returns the value so it can be marked inline.
+
+    @param value [ArrayBuffer|MessagePort|TypedArray]
+   */
+  static keep(value) {
+    return keepTransferable(value);
+  }
+
+  /**
+    creates a WorkBoots running fn in a worker, without a separate socks file. fn is called with a Socks,
+    and socks.ready() is called for it once fn (or the promise it returns) is done. fn is sent to the
+    worker as source, so it cannot close over anything outside itself, except in the main thread fallback.
+
+    @param fn [function|string] (socks) => { socks.expose(...) }, or the body of such a function
+    @param options [object] any other WorkBoots options
+   */
+  static fromFunction(fn, options = {}) {
+    return new WorkBoots({ ...options, socksSource: fn });
+  }
+
+  // wires up the worker once instantiateWorker has produced it, also used for restarted workers
+  attachWorker(worker) {
+    if (!worker) {
+      throw new Error(`instantiateWorker did not return a worker for ${this.socksFile ?? 'inline socks'}`);
+    }
+    // a factory can resolve after terminate(), or after ready() gave up on it
+    if (this.isTerminating || this.state === 'failed') {
+      worker.terminate?.();
+      return;
+    }
+
+    this.unsubscribe?.();
+    this.worker = worker;
+    this.transport = adaptTransport(worker);
+    this.hasExited = false;
+    this.listening = false;
+    this.listen();
+  }
+
+  /**
+    a snapshot of what the boots has been doing, counted the same way in a worker and in the fallback:
+      state see setState
+      messagesSent, messagesReceived every message both ways, protocol frames (calls, results, pings...) included
+      messagesDropped messages the queue discarded, see enqueue
+      transfers, bytesTransferred objects sent in transfer lists, and the bytes of the ArrayBuffers among them,
+        copied payloads are not measured
+      queueLength, pendingCalls, activeStreams what is waiting right now
+      handshakeMs how long the first handshake took after the boots was created
+      restarts how many times a crashed worker was replaced
+      latency { [method]: { count, errors, min, max, mean, histogram } } for calls, in ms, the histogram
+        counts calls per bucket as [{ le, count }], le being the bucket's upper bound
+   */
+  getStats() {
+    return {
+      state: this.state,
+      ...this.counters,
+      queueLength: this.outbox.length,
+      pendingCalls: this.pendingCalls.size,
+      activeStreams: this.streams.size,
+      handshakeMs: this.handshakeMs,
+      restarts: this.restarts ?? 0,
+      latency: Object.fromEntries([...this.latency].map(([method, { count, errors, total, min, max, buckets }]) => [method, {
+        count,
+        errors,
+        min,
+        max,
+        mean: total / count,
+        histogram: LATENCY_BUCKETS.map((le, index) => ({ le, count: buckets[index] }))
+      }]))
+    };
+  }
+
+  recordLatency(method, ms, failed) {
+    if (!this.latency.has(method)) {
+      this.latency.set(method, { count: 0, errors: 0, total: 0, min: Infinity, max: 0, buckets: LATENCY_BUCKETS.map(() => 0) });
+    }
+    const entry = this.latency.get(method);
+    entry.count++;
+    entry.errors += failed ? 1 : 0;
+    entry.total += ms;
+    entry.min = Math.min(entry.min, ms);
+    entry.max = Math.max(entry.max, ms);
+    entry.buckets[LATENCY_BUCKETS.findIndex(le => ms <= le)]++;
+  }
+
+  /**
+    boots.state says where the boots is in its life, every change emits 'statechange' ({ state, previous }).
+
+    states:
+      'initializing' waiting for the worker (or the fallback socks) to send its handshake
+      'ready-worker' running in a worker
+      'ready-local' running in the main thread fallback
+      'restarting' a crashed worker is being replaced, see restart
+      'terminating' shutting down gracefully, see terminate
+      'terminated' stopped, by terminate() or because the worker exited with code 0
+      'failed' ready() rejected, the worker crashed without restart, or restart gave up
+   */
+  setState(state) {
+    if (this.state === state) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    if (state === 'failed' || state === 'terminated') {
+      // a stopped boots has nothing left to report, and the interval would keep the process alive
+      clearInterval(this.statsTimer);
+    }
+    this.logger.debug(`state ${previous} -> ${state}`);
+    this.emit('statechange', { state, previous });
+  }
+
+  /**
+    checks the socks handshake, throwing when it speaks another protocol version, and keeps what both
+    sides can do as boots.capabilities, { rpc, streaming, channels, transfer }, and the socks name as
+    boots.socksName.
+
+    @param handshake [object] { version, name, capabilities } as sent by socks.ready()
+   */
+  negotiate({ version, name, capabilities = {} } = {}) {
+    if (version !== PROTOCOL_VERSION) {
+      throw new Error(`socks ${name ?? this.socksFile} speaks protocol version ${version}, WorkBoots speaks version ${PROTOCOL_VERSION}`);
+    }
+    const local = { rpc: true, streaming: true, channels: true, transfer: !!this.transport?.capabilities?.transfer };
+    this.socksName = name;
+    this.capabilities = Object.fromEntries(PROTOCOL_CAPABILITIES.map(capability => [capability, local[capability] && !!capabilities[capability]]));
+    return this.capabilities;
+  }
+
+  // calls and streams fail fast when the socks said it cannot answer them
+  unsupported(capability) {
+    if (this.capabilities && !this.capabilities[capability]) {
+      return new Error(`socks ${this.socksName} does not support ${capability}`);
+    }
+  }
+
+  detectWorkerSupport() {
+    if (isBrowser) {
+      return typeof Worker !== 'undefined';
+    } else if (isNode) {
+      try {
+        // Use dynamic import for worker_threads in ES modules
+        return true; // We'll check this in createDefaultWorkerFactory
+      } catch (e) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  createDefaultWorkerFactory() {
+    if (this.socksSource !== undefined) {
+      return this.createSourceWorkerFactory();
+    }
+    if (this.isolation === 'process') {
+      return async (socksFile) => {
+        if (!isNode) {
+          throw new Error('process isolation needs Node child processes');
+        }
+        const { fork } = await import('child_process');
+        // the env marker lets the Socks in the child find its IPC channel without being handed process
+        const { env, execArgv } = this.workerOptions;
+        return fork(socksFile, [], {
+          env: { ...process.env, ...env, WORKBOOTS_SOCKS: 'child_process' },
+          ...(execArgv ? { execArgv } : {}),
+          serialization: 'advanced'
+        });
+      };
+    }
+    if (isBrowser) {
+      return (socksFile) => new Worker(socksFile, pickOptions(this.workerOptions, BROWSER_WORKER_OPTIONS));
+    } else if (isNode) {
+      return async (socksFile) => {
+        try {
+          const { Worker } = await import('worker_threads');
+          return new Worker(socksFile, { type: 'module', ...this.workerOptions });
+        } catch (e) {
+          throw new Error('Worker threads not available');
+        }
+      };
+    }
+    return () => { throw new Error('No worker support available'); };
+  }
+
+  // workers for inline socks, built from a Blob URL in browsers and an eval worker in Node
+  createSourceWorkerFactory() {
+    if (this.isolation === 'process') {
+      return () => { throw new Error('process isolation needs a socksFile to fork'); };
+    }
+    if (!this.socksModule) {
+      return () => { throw new Error('an inline socks needs socksModule to load Socks from'); };
+    }
+    const script = createSocksScript(this.socksSource, this.socksModule);
+    if (isBrowser) {
+      return () => {
+        if (!this.sourceUrl) {
+          this.sourceUrl = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+        }
+        // the script uses importScripts, so it has to stay a classic worker
+        return new Worker(this.sourceUrl, pickOptions(this.workerOptions, ['name', 'credentials']));
+      };
+    } else if (isNode) {
+      return async () => {
+        const { Worker } = await import('worker_threads');
+        return new Worker(script, { ...this.workerOptions, eval: true });
+      };
+    }
+    return () => { throw new Error('No worker support available'); };
+  }
+
+  ready() {
+    return this.readyPromise;
+  }
+
+  /**
+    calls a method exposed by the socks file with socks.expose({ method }), resolving with
+    the value it returns, or rejecting with the error it throws.
+
+    @param method [string] the name of the exposed method
+    @param args [...any] arguments to pass, these must be structured cloneable
+   */
+  call(method, ...args) {
+    return this.invoke(method, args);
+  }
+
+  /**
+    like call(), with the arguments as an array so options can follow them. Aborting the signal
+    rejects with an AbortError and sends a cancel frame, which aborts the signal the exposed
+    method was handed, see Socks.expose.
+
+    progress the method reports with reportProgress(value, detail) is passed to onProgress,
+    at most once every progressInterval ms, the latest report is always delivered.
+
+    @param method [string] the name of the exposed method
+    @param args [array] arguments to pass, these must be structured cloneable
+    @param options [object] { signal, onProgress, progressInterval } an AbortSignal to cancel the
+      call with, a function(value, detail) for progress reports and how often they may be sent
+   */
+  invoke(method, args = [], { signal, onProgress, progressInterval = this.progressInterval } = {}) {
+    return new Promise((resolve, reject) => {
+      let id;
+      const onAbort = () => {
+        if (id !== undefined && this.pendingCalls.delete(id)) {
+          this.postMessage({ [FRAME_KEY]: 'cancel', id });
+        }
+        reject(createAbortError(signal));
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const settle = callback => value => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      const send = () => {
+        if (signal?.aborted) {
+          return;
+        }
+        const unsupported = this.unsupported('rpc');
+        if (unsupported) {
+          settle(reject)(unsupported);
+          return;
+        }
+        id = this.nextCallId++;
+        try {
+          this.postMessage({ [FRAME_KEY]: 'call', id, method, args, progress: onProgress ? progressInterval : undefined });
+        } catch (error) {
+          settle(reject)(error);
+          return;
+        }
+        // results come back asynchronously in every mode, so the call is registered in time
+        this.pendingCalls.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress, method, started: now() });
+      };
+
+      if (this.isReady) {
+        send();
+      } else {
+        this.ready().then(send, settle(reject));
+      }
+    });
+  }
+
+  /**
+    streams the values yielded by a socks method, exposed with socks.expose({ method }) as an
+    async generator (or any function returning an iterable), consume it with for await. Breaking
+    out of the loop stops the generator in the worker, an error it throws is thrown by the loop.
+
+    @param method [string] the name of the exposed method
+    @param args [array] arguments to pass, these must be structured cloneable
+    @param options [object] { highWaterMark, signal, onProgress, progressInterval } how many values
+      the socks may send ahead of the consumer before it pauses, defaults to 16, an AbortSignal that
+      ends the stream with an AbortError, and progress reports like WorkBoots.invoke
+   */
+  stream(method, args = [], { highWaterMark = 16, signal, onProgress, progressInterval = this.progressInterval } = {}) {
+    const id = this.nextCallId++;
+    const reader = new StreamReader(this, id, Math.max(1, highWaterMark));
+    reader.onProgress = onProgress;
+    this.streams.set(id, reader);
+
+    if (signal) {
+      const onAbort = () => {
+        if (!reader.done) {
+          this.postMessage({ [FRAME_KEY]: 'cancel', id });
+          reader.fail(createAbortError(signal));
+        }
+      };
+      reader.cleanup = () => signal.removeEventListener('abort', onAbort);
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const start = () => {
+      const unsupported = this.unsupported('streaming');
+      if (unsupported) {
+        reader.fail(unsupported);
+        return;
+      }
+      if (!reader.done) {
+        try {
+          this.postMessage({
+            [FRAME_KEY]: 'stream', id, method, args, credit: reader.highWaterMark, progress: onProgress ? progressInterval : undefined
+          });
+        } catch (error) {
+          reader.fail(error);
+        }
+      }
+    };
+    if (this.isReady) {
+      start();
+    } else {
+      this.ready().then(start, error => reader.fail(error));
+    }
+
+    return reader;
+  }
+
+  /**
+    posts a message to the socks. Until the socks has sent its handshake (or while
+    a crashed worker is restarting) messages and their transfer lists are queued, then flushed in order.
+
+    @param data [any] a message to send
+    @param origin [string] unused by workers, kept for parity with window.postMessage
+    @param transfer [array] objects to transfer ownership of, rather than copy, with autoTransfer
+      anything found in data is added to these
+   */
+  postMessage(data, origin = null, transfer = []) {
+    // a crashed worker no longer reads its messages, better to say so than to let calls hang
+    if (this.state === 'terminated' || this.state === 'failed') {
+      throw new Error(`cannot post a message, the worker ${this.state === 'failed' ? 'failed' : 'was terminated'}`);
+    }
+    if (!this.isReady) {
+      this.enqueue([data, origin, transfer]);
+      return;
+    }
+
+    if (this.autoTransfer) {
+      transfer = [...collectTransferables(data, new Set(transfer))];
+    }
+
+    this.logger.debug(`supports worker: ${this.supportsWorker}`);
+    this.transmit(data, transfer);
+  }
+
+  /**
+    adds a middleware, run in the order added on every message boots sends and receives, protocol
+    frames included, in a worker and in the main thread fallback alike. It is called with a context
+    { direction, type, data, transfer, respond } and next, and may be async. Messages go through
+    one at a time per direction, so they arrive in the order they were sent.
+
+    - next() passes the message on, next({ ...context, data }) passes it on changed
+    - not calling next() drops the message
+    - respond(data) short-circuits, on the send path data is received here as if the socks had sent it,
+      on the receive path it is sent back to the socks, either way without going through any more middleware
+
+    Return or await next(), an error thrown or rejected with drops the message and goes to onError.
+
+    @param middleware [function(context, next)]
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // without middleware messages go straight through, as they always have
+  pipe(context, done) {
+    if (this.middleware.length === 0) {
+      done(context);
+      return;
+    }
+    const middleware = [...this.middleware];
+    this.pipelines[context.direction] = this.pipelines[context.direction]
+      .then(() => runMiddleware(middleware, context, done))
+      .catch(error => this.handleError(error));
+  }
+
+  // every message to the socks leaves through here, protocol frames included, so middleware sees it
+  transmit(data, transfer = []) {
+    const respond = reply => this.handleMessage({ data: reply });
+    this.pipe(middlewareContext('send', data, transfer, respond), next => this.deliver(next.data, next.transfer));
+  }
+
+  // counted here, after middleware, so getStats() only counts what was actually sent
+  deliver(data, transfer = []) {
+    // middleware can hold a message past terminate()
+    if (this.state === 'terminated') {
+      this.counters.messagesDropped++;
+      this.logger.debug('dropped a message sent after the worker was terminated');
+      return;
+    }
+    this.counters.messagesSent++;
+    transfer.forEach(item => {
+      this.counters.transfers++;
+      if (item instanceof ArrayBuffer) {
+        this.counters.bytesTransferred += item.byteLength;
+      }
+    });
+    // the fallback socks receives message events, as self.onmessage would in a worker
+    this.transport.send(this.supportsWorker ? data : { data }, transfer);
+  }
+
+  // attaches the single internal receiver to the worker, user callbacks are dispatched from there
+  listen() {
+    if (!this.worker || this.listening) {
+      return;
+    }
+
+    this.receive = this.receive.bind(this);
+    this.unsubscribe = this.transport.subscribe({
+      message: this.receive,
+      error: event => this.handleError(toError(event)),
+      messageerror: event => this.handleError(toError(event, 'worker message could not be deserialized')),
+      exit: (code, signal) => this.handleExit(code, signal)
+    });
+    this.listening = true;
+  }
+
+  receive(message, ...rest) {
+    this.counters.messagesReceived++;
+    const respond = reply => this.deliver(reply);
+    this.pipe(middlewareContext('receive', message?.data, [], respond), ({ data }) => {
+      this.handleMessage(data === message?.data ? message : { data }, ...rest);
+    });
+  }
+
+  handleMessage(message, ...rest) {
+    const data = message?.data;
+    if (isFrame(data, 'handshake')) {
+      this.handleHandshake(data);
+      return;
+    }
+
+    // socks from before the handshake only announced themselves with this, as if speaking version 0
+    if (data === 'socks loaded' && !this.isReady) {
+      this.handleHandshake({ version: 0 });
+      return;
+    }
+
+    if (isFrame(data, 'pong')) {
+      this.handlePong();
+      return;
+    }
+
+    if (isFrame(data, 'closed')) {
+      this.finishShutdown?.(true);
+      return;
+    }
+
+    // answered straight away, the socks may be waiting on it before it calls ready()
+    if (isFrame(data, 'init')) {
+      this.transmit({ [FRAME_KEY]: 'init', workerData: this.workerData });
+      return;
+    }
+
+    if (isFrame(data, 'uncaught')) {
+      this.handleError(deserializeError(data.error));
+      return;
+    }
+
+    if (isFrame(data, 'channel')) {
+      const channel = this.channels.get(data.channel);
+      if (channel?.listenerCount('message')) {
+        this.dispatch(channel.listeners('message'), { data: data.payload }, ...rest);
+      } else {
+        this.logger.debug(`dropped a message for channel "${data.channel}", it has no listeners`);
+      }
+      return;
+    }
+
+    if (isFrame(data, 'progress')) {
+      const { onProgress } = this.pendingCalls.get(data.id) || this.streams.get(data.id) || {};
+      // like a message listener, what onProgress throws goes to onError
+      if (onProgress) {
+        this.dispatch([onProgress], data.value, data.detail);
+      }
+      return;
+    }
+
+    if (isFrame(data, 'chunk')) {
+      this.streams.get(data.id)?.push(data.value);
+      return;
+    }
+
+    if (isFrame(data, 'end')) {
+      this.streams.get(data.id)?.end();
+      return;
+    }
+
+    if (isFrame(data, 'error') && this.streams.has(data.id)) {
+      this.streams.get(data.id).fail(deserializeError(data.error));
+      return;
+    }
+
+    if (isFrame(data, 'result') || isFrame(data, 'error')) {
+      const pending = this.pendingCalls.get(data.id);
+      if (pending) {
+        this.pendingCalls.delete(data.id);
+        this.recordLatency(pending.method, now() - pending.started, isFrame(data, 'error'));
+        if (isFrame(data, 'result')) {
+          pending.resolve(data.result);
+        } else {
+          pending.reject(deserializeError(data.error));
+        }
+      }
+      return;
+    }
+
+    this.dispatch(this.listeners('message'), message, ...rest);
+  }
+
+  // runs message listeners, what they throw or reject with goes to onError rather than out of the transport
+  dispatch(callbacks, ...args) {
+    callbacks.forEach(callback => {
+      try {
+        const result = callback(...args);
+        if (typeof result?.then === 'function') {
+          result.then(undefined, error => this.handleError(error));
+        }
+      } catch (error) {
+        this.handleError(error);
+      }
+    });
+  }
+
+  /**
+    registers a callback for worker script errors, message deserialization errors, and
+    exceptions thrown inside Socks message handlers (with their name, message and stack).
+
+    @param callback [function(Error)]
+   */
+  onError(callback) {
+    this.setCallback('error', 'onErrorCallback', callback);
+  }
+
+  /**
+    registers a callback for when the worker stops. Node worker threads report their exit code
+    (terminate() gives 1), browser workers and the main thread fallback report 0 when terminated.
+    Child processes report their exit code, or 1 and the signal that killed them (terminate() sends SIGTERM).
+
+    @param callback [function(number, string)]
+   */
+  onExit(callback) {
+    this.setCallback('exit', 'onExitCallback', callback);
+  }
+
+  // calls and streams cannot complete once their worker is gone
+  rejectPending(reason) {
+    this.pendingCalls.forEach(({ reject }) => reject(new Error(`${reason} before the call completed`)));
+    this.pendingCalls.clear();
+    this.streams.forEach(stream => stream.fail(new Error(`${reason} before the stream completed`)));
+    this.streams.clear();
+  }
+
+  handleError(error) {
+    if (this.listenerCount('error')) {
+      this.emit('error', error);
+    } else {
+      this.logger.error('unhandled worker error, register one with onError():', error);
+    }
+  }
+
+  handleExit(code, signal) {
+    if (this.hasExited) {
+      return;
+    }
+    this.hasExited = true;
+    this.stopHeartbeat();
+
+    this.rejectPending(`worker exited with code ${code}`);
+
+    // only child processes know the signal that stopped them
+    this.emit('exit', ...(signal ? [code, signal] : [code]));
+
+    if (code !== 0 && this.restartOptions && !this.isTerminating && !this.finishShutdown) {
+      this.restart(code);
+    } else if (!this.isReady) {
+      this.rejectReady?.(new Error(`worker exited with code ${code} before socks.ready() was called`));
+    } else if (!this.isTerminating && this.state !== 'terminating') {
+      // the worker stopped by itself, there is nothing left to talk to
+      this.setState(code === 0 ? 'terminated' : 'failed');
+    }
+
+    // a worker that dies while shutting down is not coming back to say it is done
+    this.finishShutdown?.(false);
+  }
+
+  // the first message listener starts the transport, and every one gets what came in before ready
+  messageListenerAdded(callback) {
+    this.listen();
+    this.replayReceivedBeforeReady(callback);
+  }
+
+  /**
+    replaces a crashed worker by re-running instantiateWorker(socksFile), messages posted
+    while it is down are queued and replayed once the new worker sends its handshake.
+
+    restart options:
+      maxRestarts [number] how many times to restart before giving up, defaults to 3
+      backoff [number|function(attempt)] delay in ms before restarting, a number doubles on
+        every attempt, a function returns the delay for that attempt. defaults to 100
+   */
+  restart(code) {
+    const { maxRestarts = 3, backoff = 100 } = this.restartOptions;
+    if (this.restarts >= maxRestarts) {
+      this.isRestarting = false;
+      this.outbox = [];
+      this.logger.warn(`worker crashed with code ${code}, giving up after ${this.restarts} restarts`);
+      this.setState('failed');
+      this.emit('gave-up', { restarts: this.restarts, code });
+      this.rejectReady?.(new Error(`worker exited with code ${code} before socks.ready() was called, gave up after ${this.restarts} restarts`));
+      return;
+    }
+
+    const attempt = ++this.restarts;
+    const delay = typeof backoff === 'function' ? backoff(attempt) : backoff * 2 ** (attempt - 1);
+    this.isRestarting = true;
+    this.isReady = false;
+    this.setState('restarting');
+    this.emit('restarting', { attempt, delay, code });
+
+    this.restartTimer = setTimeout(() => {
+      if (this.isTerminating) {
+        return;
+      }
+
+      Promise.resolve()
+        .then(() => this.instantiateWorker(this.socksFile))
+        .then(worker => this.attachWorker(worker))
+        .catch(e => {
+          this.handleError(e);
+          this.hasExited = true;
+          this.restart(code);
+        });
+    }, delay);
+  }
+
+  // the socks called ready(), the first time this settles ready(), after a restart it ends the restart
+  handleHandshake(handshake) {
+    if (this.isRestarting) {
       try {
-        // Use dynamic import for worker_threads in ES modules
-        return true; // We'll check this in createDefaultWorkerFactory
-      } catch (e) {
-        return false;
+        this.negotiate(handshake);
+      } catch (error) {
+        this.handleError(error);
+        return;
       }
+      this.finishRestart(handshake);
+      return;
     }
-    return false;
+    if (this.isReady) {
+      this.logger.debug('ignored a repeated handshake, socks.ready() was called more than once');
+      return;
+    }
+    this.resolveReady?.(handshake);
   }
 
-  createDefaultWorkerFactory() {
-    if (isBrowser) {
-      return (socksFile) => new Worker(socksFile);
-    } else if (isNode) {
-      return async (socksFile) => {
-        try {
-          const { Worker } = await import('worker_threads');
-          return new Worker(socksFile, { type: 'module' });
-        } catch (e) {
-          throw new Error('Worker threads not available');
+  finishRestart(handshake) {
+    this.isRestarting = false;
+    // a worker that crashed before its first handshake has not settled ready() yet
+    this.resolveReady?.(handshake);
+    this.isReady = true;
+    this.setState('ready-worker');
+    this.emit('restarted', { attempt: this.restarts });
+    this.flushOutbox();
+    this.startHeartbeat();
+  }
+
+  /**
+    pings the worker every interval ms once it is ready, Socks answers the pings itself, so a
+    handler stuck in a loop stops the answers. Missing maxMissed in a row emits 'unresponsive'.
+    The main thread fallback is never pinged, a stuck handler there blocks the pings too.
+
+    heartbeat options:
+      interval [number] ms between pings, defaults to 1000
+      maxMissed [number] unanswered pings before the worker counts as unresponsive, defaults to 3
+      terminate [boolean] stop an unresponsive worker, reported as exit code 1, so with the restart
+        option it is replaced like a crashed worker. defaults to false
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.heartbeatOptions || !this.supportsWorker) {
+      return;
+    }
+
+    const { interval = 1000, maxMissed = 3, terminate = false } = this.heartbeatOptions;
+    this.missedHeartbeats = 0;
+    this.awaitingPong = false;
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong && ++this.missedHeartbeats === maxMissed) {
+        this.logger.warn(`worker missed ${maxMissed} heartbeats, it is unresponsive`);
+        this.emit('unresponsive', { missed: this.missedHeartbeats, interval });
+        if (terminate) {
+          this.terminateUnresponsive();
+          return;
         }
-      };
+      }
+      this.awaitingPong = true;
+      this.transmit({ [FRAME_KEY]: 'ping' });
+    }, interval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = undefined;
+  }
+
+  handlePong() {
+    const { maxMissed = 3 } = this.heartbeatOptions || {};
+    if (this.missedHeartbeats >= maxMissed) {
+      this.emit('responsive', { missed: this.missedHeartbeats });
     }
-    return () => { throw new Error('No worker support available'); };
+    this.missedHeartbeats = 0;
+    this.awaitingPong = false;
   }
 
-  ready() {
-    return this.readyPromise;
+  // a hung worker will not report its own exit in time, so it is cut loose and reported as crashed here
+  terminateUnresponsive() {
+    this.stopHeartbeat();
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.listening = false;
+    this.transport.close();
+    this.handleExit(1);
   }
 
-  postMessage(data, origin = null, transfer = []) {
-    if (!this.isReady) {
-      if (this.onMessageCallback) {
-        this.onMessageCallback(data, origin, transfer);
+  /**
+    queues an outgoing message until the socks is ready. When maxQueueLength is reached the
+    queueOverflow policy decides what happens:
+      'drop-oldest' (default) the oldest queued message is discarded to make room
+      'drop-newest' the message being posted is discarded
+      'reject' postMessage throws
+   */
+  enqueue(args) {
+    if (this.outbox.length >= this.maxQueueLength) {
+      if (this.queueOverflow === 'reject') {
+        throw new Error(`outbound queue is full (${this.maxQueueLength} messages), the socks is not ready yet`);
+      } else if (this.queueOverflow === 'drop-newest') {
+        this.logger.warn('outbound queue is full, dropping the newest message');
+        this.counters.messagesDropped++;
+        // calls and streams posted here are turned away, see invoke and stream, so throwing rejects them
+        if (isFrame(args[0], 'call') || isFrame(args[0], 'stream')) {
+          throw this.queueOverflowError(args[0]);
+        }
+        return;
       }
-      return;
-    }
 
-    // Handle undefined/null data
-    if (data === undefined || data === null) {
-      data = { data: null };
+      this.logger.warn('outbound queue is full, dropping the oldest message');
+      this.dropQueued(this.outbox.shift());
     }
+    this.outbox.push(args);
+  }
 
-    const message = (data && typeof data === 'object' && 'data' in data) ? data : { data };
-    console.log(`supports worker: ${this.supportsWorker}`);
-    
-    if (this.supportsWorker && this.worker && typeof this.worker.postMessage === 'function') {
-      // Handle different worker types
-      if (isBrowser) {
-        this.worker.postMessage(...[data, transfer.length > 0 ? transfer : undefined].filter(arg => !!arg));
-      } else if (isNode) {
-        this.worker.postMessage(data, transfer);
-      }
-    } else if (this.socks && typeof this.socks.onMessageLocal === 'function') {
-      this.socks.onMessageLocal(message, transfer);
+  // the call or stream behind a dropped frame would otherwise wait for an answer forever
+  dropQueued([data] = []) {
+    this.counters.messagesDropped++;
+    if (isFrame(data, 'call')) {
+      const call = this.pendingCalls.get(data.id);
+      this.pendingCalls.delete(data.id);
+      call?.reject(this.queueOverflowError(data));
+    } else if (isFrame(data, 'stream')) {
+      this.streams.get(data.id)?.fail(this.queueOverflowError(data));
     }
   }
 
+  queueOverflowError(data) {
+    return new Error(`outbound queue is full (${this.maxQueueLength} messages), the ${data[FRAME_KEY]} to ${data.method} was dropped`);
+  }
+
+  flushOutbox() {
+    const queued = this.outbox;
+    this.outbox = [];
+    queued.forEach(args => this.postMessage(...args));
+  }
+
   onMessage(callback) {
-    this.onMessageCallback = callback;
-    if (this.worker) {
-      if (isBrowser) {
-        this.worker.onmessage = callback;
-      } else if (isNode) {
-        // Check if worker has 'on' method (Node.js worker threads)
-        if (typeof this.worker.on === 'function') {
-          this.worker.on('message', callback);
-        } else {
-          // Fallback for mock workers or other implementations
-          this.worker.onmessage = callback;
-        }
-      }
+    this.setCallback('message', 'onMessageCallback', callback);
+  }
+
+  /**
+    returns the named channel, created on first use. Several modules can share one worker
+    through their own channels, each with its own postMessage and onMessage, without seeing
+    each other's messages. The socks side opens the same name with socks.channel(name).
+
+    @param name [string] the channel name
+   */
+  channel(name) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('channel names must be non-empty strings');
     }
+    if (!this.channels.has(name)) {
+      this.channels.set(name, new Channel(this, name));
+    }
+    return this.channels.get(name);
+  }
 
-    if (this.receivedBeforeReady.length) {
-      console.log('messages received before socks loaded now replaying (not necessarily a problem, but loading out of order):');
-      this.receivedBeforeReady.forEach(m => this.onMessageCallback && this.onMessageCallback(...m));
+  replayReceivedBeforeReady(callback) {
+    if (this.receivedBeforeReady?.length) {
+      this.logger.debug('messages received before socks loaded now replaying (not necessarily a problem, but loading out of order):');
+      const received = this.receivedBeforeReady;
+      this.receivedBeforeReady = [];
+      received.forEach(m => callback(...m));
     }
   }
 
   onMessageLocal(data, origin, transfer = []) {
-    console.log(`sending local message that would have been to origin ${origin}`);
-    if (transfer?.length > 0) {
-      console.log(`transfer ignored for ${transfer.length} transfer references`);
+    this.logger.debug(`sending local message that would have been to origin ${origin}`);
+    if (this.fidelity) {
+      // copied and detached like a worker message, so neither side sees the other's mutations
+      data = structuredClone(data, { transfer });
+    } else if (transfer?.length > 0) {
+      this.logger.debug(`transfer ignored for ${transfer.length} transfer references`);
     }
 
-    console.log(`onMessageCallback ${this.onMessageCallback}`);
+    // like a worker message, one nobody listens for is dropped rather than thrown back at the socks
+    this.receive({ data });
+  }
 
-    if (this.onMessageCallback) {
-      this.onMessageCallback({ data });
-    } else {
-      throw new Error('onMessageLocal should not be called without onMessageCallback defined');
+  /**
+    stops the worker. By default straight away, rejecting calls still in flight. With graceful the socks
+    is asked to shut down first, it refuses new calls, lets the ones in flight finish, and runs its
+    onTerminate callback, then the worker is stopped. Returns a promise resolving with true when the
+    socks shut down cleanly, and false when it was stopped without doing so.
+
+    @param options [object] { graceful, timeout } whether to let the socks shut down, and how many ms
+      it gets before it is stopped anyway, defaults to 5000, 0 waits as long as it takes
+   */
+  terminate({ graceful = false, timeout = 5000 } = {}) {
+    if (this.finishShutdown) {
+      // already shutting down gracefully, waiting on it again is fine, a hard terminate cuts it short
+      if (!graceful) {
+        this.finishShutdown(false);
+      }
+      return this.shutdownPromise;
     }
+    if (graceful && this.isReady && !this.isTerminating) {
+      return this.shutdown(timeout);
+    }
+
+    this.terminateNow();
+    return Promise.resolve(false);
   }
 
-  terminate() {
-    if (this.supportsWorker && this.worker && typeof this.worker.terminate === 'function') {
-      if (isBrowser) {
-        this.worker.terminate();
-      } else if (isNode) {
-        this.worker.terminate();
+  shutdown(timeout) {
+    this.setState('terminating');
+    this.shutdownPromise = new Promise(resolve => {
+      let timer;
+      const finish = (clean) => {
+        this.finishShutdown = undefined;
+        clearTimeout(timer);
+        this.terminateNow();
+        resolve(clean);
+      };
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.logger.warn(`socks did not shut down within ${timeout}ms, terminating it`);
+          finish(false);
+        }, timeout);
       }
-    } else if (this.socks && typeof this.socks.terminate === 'function') {
-      this.socks.terminate();
+      this.finishShutdown = finish;
+    });
+
+    // a worker busy draining its calls may well miss a heartbeat
+    this.stopHeartbeat();
+    this.transmit({ [FRAME_KEY]: 'shutdown' });
+    return this.shutdownPromise;
+  }
+
+  terminateNow() {
+    this.isTerminating = true;
+    this.setState('terminating');
+    clearInterval(this.statsTimer);
+    clearTimeout(this.restartTimer);
+    this.stopHeartbeat();
+    this.outbox = [];
+    if (!this.isReady) {
+      this.rejectReady?.(new Error('worker terminated before socks.ready() was called'));
+    }
+
+    this.rejectPending('worker terminated');
+
+    this.transport?.close();
+    if (this.sourceUrl) {
+      URL.revokeObjectURL(this.sourceUrl);
+      this.sourceUrl = undefined;
+    }
+
+    // transports that report exit (worker_threads) emit it themselves, everything else stops right here
+    if (!this.transport?.capabilities?.exit) {
+      this.handleExit(0);
     }
+    this.setState('terminated');
   }
 }
 
 // Enhanced Socks with Browserify compatibility
-class Socks {
-  constructor(self = undefined) {
+/**
+  the worker side of a WorkBoots, or its stand-in on the main thread when boots fell back.
+
+  events, added with on(), see Emitter.on:
+    'message' ({ data }) every message from boots, the same shape in every mode
+ */
+class Socks extends Emitter {
+  constructor(self = undefined, { logger, name = 'socks', autoTransfer = false } = {}) {
+    super();
+    // a socks file forked with isolation: 'process' talks to its parent over IPC, claimed once so nested socks stay local
+    if (self === undefined && isNode && process.env.WORKBOOTS_SOCKS === 'child_process' && typeof process.send === 'function') {
+      delete process.env.WORKBOOTS_SOCKS;
+      self = process;
+    }
     this.self = self;
+    this.transport = self ? adaptTransport(self) : undefined;
+    this.autoTransfer = autoTransfer;
+    this.loggerOptions = logger;
+    this.logger = createLogger(logger, name);
+    this.name = name;
     this.postsBeforeReady = [];
     this.isReady = false;
     this.sentReadyMessage = false;
+    this.exposed = {};
+    this.channels = new Map();
+    this.streams = new Map();
+    this.controllers = new Map();
+    this.inFlight = new Set();
+    this.middleware = [];
+    this.pipelines = { send: Promise.resolve(), receive: Promise.resolve() };
+  }
+
+  /**
+    resolves with the workerData given to WorkBoots in workerOptions, in every mode, asking boots for it
+    when it runs in a worker. Also kept as socks.workerData once it has arrived.
+   */
+  getWorkerData() {
+    if (!this.workerDataPromise) {
+      this.workerDataPromise = new Promise(resolve => {
+        this.resolveWorkerData = (workerData) => {
+          this.workerData = workerData;
+          resolve(workerData);
+        };
+      });
+      if (this.boots) {
+        this.resolveWorkerData(this.boots.workerData);
+      } else if (this.transport) {
+        this.listen();
+        this.transmit({ [FRAME_KEY]: 'init' });
+      }
+      // otherwise a main thread socks is still waiting for enterBoots
+    }
+    return this.workerDataPromise;
   }
 
   ready() {
     if (this.isWorkerSupported()) {
-      this.postMessage("socks loaded");
+      // heartbeats arrive whether or not anything else is listened to
+      this.listen();
+      this.postMessage(this.handshake());
       this.sentReadyMessage = true;
     } else {
       if (this.boots) {
-        this.boots.onMessageLocal("socks loaded");
+        this.transmit(this.handshake());
         this.sentReadyMessage = true;
       }
     }
@@ -237,6 +1723,21 @@ class Socks {
     this.processReadyMessages();
   }
 
+  // see WorkBoots.keep
+  static keep(value) {
+    return keepTransferable(value);
+  }
+
+  // the frame ready() sends, boots checks the version and narrows the capabilities to its own, see WorkBoots.negotiate
+  handshake() {
+    return {
+      [FRAME_KEY]: 'handshake',
+      version: PROTOCOL_VERSION,
+      name: this.name,
+      capabilities: { rpc: true, streaming: true, channels: true, transfer: !!this.transport?.capabilities?.transfer }
+    };
+  }
+
   processReadyMessages() {
     if (this.sentReadyMessage) {
       this.postsBeforeReady.forEach(args => this.postMessage(...args));
@@ -246,15 +1747,24 @@ class Socks {
 
   enterBoots(boots) {
     this.boots = boots;
-    if (this.isReady && !this.sentReadyMessage) {
-      this.ready();
+    // sharing the main thread, so log like the boots unless told otherwise
+    if (this.loggerOptions === undefined) {
+      this.logger = createLogger(boots.loggerOptions, this.name);
     }
     // if enter boots is called, we don't have background worker support
     //  so set self to undefined as we want to keep this entirely local.
-    if (this.self?.onmessage) {
-      this.onMessageCallback = this.self.onmessage;
-    }
+    const selfOnMessage = this.self?.onmessage;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
     this.self = undefined;
+    this.transport = transports.inProcess(boots);
+    if (selfOnMessage && selfOnMessage !== this.receive) {
+      this.onMessage(selfOnMessage);
+    }
+    this.resolveWorkerData?.(boots.workerData);
+    if (this.isReady && !this.sentReadyMessage) {
+      this.ready();
+    }
   }
 
   postMessage(data, origin /* = window?.document?.location?.origin*/, transfer = []) {
@@ -263,85 +1773,526 @@ class Socks {
       return;
     }
 
-    const message = (typeof data === 'object' && 'data' in data) ? data : { data };
-    if (this.isWorkerSupported()) {
-      if (isBrowser) {
-        this.self.postMessage(...[data, origin, transfer.length > 0 ? transfer : undefined].filter(arg => !!arg));
-      } else if (isNode) {
-        this.self.postMessage(data, transfer);
-      }
-    } else {
-      this.boots.onMessageLocal(message, origin, transfer);
+    if (this.autoTransfer) {
+      transfer = [...collectTransferables(data, new Set(transfer))];
+    }
+
+    this.transmit(data, transfer);
+  }
+
+  // see WorkBoots.use, respond(data) on the receive path answers boots without running the handler
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  pipe(context, done) {
+    if (this.middleware.length === 0) {
+      done(context);
+      return;
     }
+    const middleware = [...this.middleware];
+    this.pipelines[context.direction] = this.pipelines[context.direction]
+      .then(() => runMiddleware(middleware, context, done))
+      .catch((error) => {
+        // not reportError, the same middleware would get the 'uncaught' frame and could fail on it again
+        this.logger.error('uncaught error in socks middleware', error);
+        this.transport?.send({ [FRAME_KEY]: 'uncaught', error: serializeError(error) }, []);
+      });
+  }
+
+  // every message to boots leaves through here, protocol frames included, so middleware sees it
+  transmit(data, transfer = []) {
+    const respond = reply => this.handleMessage({ data: reply });
+    // self, or in the main thread fallback boots.onMessageLocal, which wraps messages as { data } like a worker would
+    this.pipe(middlewareContext('send', data, transfer, respond), next => this.transport.send(next.data, next.transfer));
   }
 
   onMessage(callback) {
-    console.log('support ' + this.isWorkerSupported());
+    this.logger.debug('support ' + this.isWorkerSupported());
 
-    if (this.isWorkerSupported()) {
-      if (isBrowser) {
-        this.self.onmessage = callback;
-      } else if (isNode) {
-        // Check if self has 'on' method (Node.js worker threads)
-        if (typeof this.self.on === 'function') {
-          this.self.on('message', callback);
-        } else {
-          // Fallback for mock workers or other implementations
-          this.self.onmessage = callback;
+    this.setCallback('message', 'onMessageCallback', callback);
+  }
+
+  // the first message listener starts the transport
+  messageListenerAdded() {
+    this.listen();
+  }
+
+  /**
+    exposes methods that the main thread can invoke with boots.call(method, ...args),
+    return values (or promises) are sent back as the result, thrown errors reject the call.
+    After the arguments every method is handed a context, { signal, id, reportProgress }, the signal
+    aborts when boots cancels the call or stream, reportProgress(value, detail) is throttled to the
+    rate the caller asked for and does nothing when nobody subscribed.
+
+    @param methods [object] a map of method names to functions
+   */
+  expose(methods) {
+    Object.assign(this.exposed, methods);
+    this.listen();
+  }
+
+  /**
+    returns the named channel, created on first use, see WorkBoots.channel. Errors thrown by
+    channel listeners are reported to boots.onError like any other message handler.
+
+    @param name [string] the channel name
+   */
+  channel(name) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('channel names must be non-empty strings');
+    }
+    if (!this.channels.has(name)) {
+      this.channels.set(name, new Channel(this, name));
+    }
+    return this.channels.get(name);
+  }
+
+  // attaches the single internal receiver to self, user callbacks are dispatched from there
+  listen() {
+    if (!this.isWorkerSupported() || this.listening) {
+      return;
+    }
+
+    this.receive = this.receive.bind(this);
+    this.unsubscribe = this.transport.subscribe({ message: this.receive });
+    this.listening = true;
+  }
+
+  receive(message, ...rest) {
+    const respond = reply => this.transport.send(reply, []);
+    this.pipe(middlewareContext('receive', message?.data, [], respond), ({ data }) => {
+      this.handleMessage(data === message?.data ? message : { data }, ...rest);
+    });
+  }
+
+  handleMessage(message, ...rest) {
+    const data = message?.data;
+    if (isFrame(data, 'init')) {
+      this.resolveWorkerData?.(data.workerData);
+      return;
+    }
+
+    // answered here rather than by user code, so only a stuck thread misses one
+    if (isFrame(data, 'ping')) {
+      this.transmit({ [FRAME_KEY]: 'pong' });
+      return;
+    }
+
+    if (isFrame(data, 'call')) {
+      this.handleCall(data);
+      return;
+    }
+
+    if (isFrame(data, 'stream')) {
+      this.track(this.handleStream(data));
+      return;
+    }
+
+    if (isFrame(data, 'shutdown')) {
+      this.shutdown();
+      return;
+    }
+
+    if (isFrame(data, 'cancel')) {
+      this.controllers.get(data.id)?.abort();
+      this.streams.get(data.id)?.resume?.();
+      return;
+    }
+
+    if (isFrame(data, 'pull')) {
+      const stream = this.streams.get(data.id);
+      if (stream) {
+        stream.credit += data.count;
+        stream.resume?.();
+      }
+      return;
+    }
+
+    if (isFrame(data, 'channel')) {
+      const channel = this.channels.get(data.channel);
+      if (channel?.listenerCount('message')) {
+        this.dispatch(channel.listeners('message'), { data: data.payload }, ...rest);
+      } else {
+        this.logger.debug(`dropped a message for channel "${data.channel}", it has no listeners`);
+      }
+      return;
+    }
+
+    this.dispatch(this.listeners('message'), message, ...rest);
+  }
+
+  // runs message handlers, sending anything they throw or reject with to boots
+  dispatch(callbacks, ...args) {
+    callbacks.forEach(callback => {
+      try {
+        const result = callback(...args);
+        if (typeof result?.then === 'function') {
+          result.then(undefined, error => this.reportError(error));
         }
+      } catch (error) {
+        this.reportError(error);
       }
-    } else {
-      this.onMessageCallback = callback;
+    });
+  }
+
+  // exceptions in message handlers would otherwise vanish, send them to boots.onError instead
+  reportError(error) {
+    this.logger.error('uncaught error in socks message handler', error);
+    this.postMessage({ [FRAME_KEY]: 'uncaught', error: serializeError(error) });
+  }
+
+  handleCall({ id, method, args = [], progress }) {
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    const reporter = this.progressReporter(id, progress);
+    // boots already rejected a cancelled call, nothing is sent back for it
+    const respond = frame => {
+      this.controllers.delete(id);
+      reporter.finish(!controller.signal.aborted);
+      if (!controller.signal.aborted) {
+        this.postMessage(frame);
+      }
+    };
+
+    // decided on arrival, a call that came in before the shutdown still runs
+    const refused = this.isShuttingDown;
+    this.track(Promise.resolve().then(() => {
+      if (refused) {
+        throw new Error('socks is shutting down');
+      }
+      if (typeof this.exposed[method] !== 'function') {
+        throw new Error(`socks does not expose a method named "${method}"`);
+      }
+      return this.exposed[method](...args, { signal: controller.signal, id, reportProgress: reporter.report });
+    }).then(
+      result => respond({ [FRAME_KEY]: 'result', id, result }),
+      error => respond({ [FRAME_KEY]: 'error', id, error: serializeError(error) })
+    ));
+  }
+
+  // calls and streams still running, a graceful shutdown waits for them
+  track(task) {
+    this.inFlight.add(task);
+    task.finally(() => this.inFlight.delete(task));
+  }
+
+  /**
+    answers boots.terminate({ graceful: true }), new calls and streams are refused, the ones in flight
+    finish, then the onTerminate callback runs (and is awaited), and boots is told the socks is done.
+   */
+  async shutdown() {
+    if (this.isShuttingDown) {
+      return;
+    }
+    this.isShuttingDown = true;
+
+    await Promise.allSettled([...this.inFlight]);
+    try {
+      this.hasTerminated = true;
+      await this.terminateCallback?.();
+    } catch (error) {
+      this.reportError(error);
     }
+    this.transmit({ [FRAME_KEY]: 'closed' });
   }
 
-  onMessageLocal(data, origin, transfer = []) {
-    console.log(`sending local message that would have been to origin ${origin}`);
-    if (transfer?.length > 0) {
-      console.log(`transfer ignored for ${transfer.length} transfer references`);
+  /**
+    runs an exposed method for boots.stream(), sending what it yields as 'chunk' frames and
+    finishing with an 'end' or 'error' frame. Only as many chunks as boots has credited are
+    sent, after that the generator is not resumed until boots pulls more.
+   */
+  async handleStream({ id, method, args = [], credit, progress }) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const reporter = this.progressReporter(id, progress);
+    const stream = { credit, resume: null };
+    this.streams.set(id, stream);
+    this.controllers.set(id, controller);
+    let iterator;
+    try {
+      if (this.isShuttingDown) {
+        throw new Error('socks is shutting down');
+      }
+      if (typeof this.exposed[method] !== 'function') {
+        throw new Error(`socks does not expose a method named "${method}"`);
+      }
+      const iterable = await this.exposed[method](...args, { signal, id, reportProgress: reporter.report });
+      iterator = iterable?.[Symbol.asyncIterator]?.() || iterable?.[Symbol.iterator]?.();
+      if (!iterator) {
+        throw new TypeError(`socks method "${method}" did not return an iterable to stream`);
+      }
+
+      while (!signal.aborted) {
+        if (stream.credit <= 0) {
+          await new Promise(resolve => { stream.resume = resolve; });
+          stream.resume = null;
+          continue;
+        }
+
+        const { value, done } = await iterator.next();
+        if (done || signal.aborted) {
+          break;
+        }
+        stream.credit--;
+        this.postMessage({ [FRAME_KEY]: 'chunk', id, value });
+      }
+
+      reporter.finish(!signal.aborted);
+      if (signal.aborted) {
+        await iterator.return?.();
+      } else {
+        this.postMessage({ [FRAME_KEY]: 'end', id });
+      }
+    } catch (error) {
+      reporter.finish(!signal.aborted);
+      if (!signal.aborted) {
+        this.postMessage({ [FRAME_KEY]: 'error', id, error: serializeError(error) });
+      }
+    } finally {
+      this.streams.delete(id);
+      this.controllers.delete(id);
     }
+  }
 
-    console.log(this.onMessageCallback);
+  /**
+    throttles reportProgress to one 'progress' frame every interval ms, a report made sooner is held
+    and sent when the interval is up (replaced by any later one). finish(send) clears the timer,
+    sending the held report first, so the last report always arrives before the result. Reports made
+    after that are ignored.
 
-    if (this.onMessageCallback) {
-      this.onMessageCallback(data);
-    } else {
-      throw new Error('onMessageLocal should not be called without onMessageCallback defined');
+    @param id [number] the call or stream id
+    @param interval [number] ms between reports, undefined when boots did not subscribe
+   */
+  progressReporter(id, interval) {
+    if (interval === undefined || interval === null) {
+      return { report: () => {}, finish: () => {} };
+    }
+
+    let sentAt = -Infinity;
+    let timer = null;
+    let held = null;
+    let finished = false;
+    const send = () => {
+      clearTimeout(timer);
+      timer = null;
+      sentAt = Date.now();
+      this.postMessage({ [FRAME_KEY]: 'progress', id, ...held });
+      held = null;
+    };
+
+    return {
+      report: (value, detail) => {
+        if (finished) {
+          return;
+        }
+        held = { value, detail };
+        const remaining = sentAt + interval - Date.now();
+        if (remaining <= 0) {
+          send();
+        } else if (!timer) {
+          timer = setTimeout(send, remaining);
+        }
+      },
+      finish: (sendHeld) => {
+        finished = true;
+        clearTimeout(timer);
+        timer = null;
+        if (sendHeld && held) {
+          send();
+        }
+        held = null;
+      }
+    };
+  }
+
+  onMessageLocal(data, origin, transfer = []) {
+    this.logger.debug(`sending local message that would have been to origin ${origin}`);
+    // fidelity is a boots option, the fallback is configured from the main thread
+    if (this.boots?.fidelity) {
+      data = structuredClone(data, { transfer });
+    } else if (transfer?.length > 0) {
+      this.logger.debug(`transfer ignored for ${transfer.length} transfer references`);
     }
+
+    this.receive(data);
   }
 
   terminate() {
-    this.terminateCallback && this.terminateCallback();
+    // a graceful shutdown already ran the callback
+    if (!this.hasTerminated) {
+      this.hasTerminated = true;
+      this.terminateCallback && this.terminateCallback();
+    }
     if (typeof this.self?.terminate === 'function') this.self?.terminate();
   }
 
+  /**
+    sets the cleanup to run before the socks stops, it may return a promise. It runs on
+    boots.terminate({ graceful: true }) in every mode, a plain terminate() only reaches it in the main
+    thread fallback, a worker is stopped before it could run.
+
+    @param callback [function]
+   */
   onTerminate(callback) {
-    // this is only called when we don't support service workers... beware1!!!1
     this.terminateCallback = callback;
   }
 
+  // a worker scope has neither window nor a Node process, what counts is having something to talk over that is not boots
   isWorkerSupported() {
-    if (isBrowser) {
-      return typeof Worker !== 'undefined' && !!this.self;
-    } else if (isNode) {
-      return !!this.self;
+    return !!this.transport && !this.boots;
+  }
+}
+
+// whether a pool worker can still take tasks, one that is restarting will again
+const isRunning = ({ boots }) => boots.state !== 'failed' && boots.state !== 'terminated';
+
+/**
+  A pool of WorkBoots running the same socks file. Tasks are dispatched with call() to the
+  least busy ready worker, and queued until one frees up when every worker is busy.
+
+  @param socksFile [string] the fully qualified path to the socks background worker file
+  @param size [number] how many workers to spawn, a single local socks is used when workers are not supported
+    or the first one falls back to the main thread
+  @param concurrency [number] how many tasks a worker may run at once before it counts as busy
+  @param options [object] any other WorkBoots options, e.g. instantiateWorker
+ */
+class WorkBootsPool {
+  constructor({ socksFile, size = 4, concurrency = 1, ...options }) {
+    this.logger = createLogger(options.logger, `pool:${socksFile}`);
+    this.supportsWorker = WorkBoots.prototype.detectWorkerSupport();
+    if (!this.supportsWorker) {
+      this.logger.info('background worker not supported, pool will use a single local socks (main thread eval).');
     }
-    return false;
+
+    this.size = this.supportsWorker ? Math.max(1, size) : 1;
+    this.concurrency = Math.max(1, concurrency);
+    this.queue = [];
+    this.isTerminated = false;
+    this.socksFile = socksFile;
+    this.options = options;
+    this.workers = [];
+
+    // every boots that falls back imports the same socks module, which only talks to the last boots
+    //  it entered, so the first worker finds out whether workers start here before the rest follow
+    this.readyPromise = this.addWorker().then(() => {
+      if (this.workers[0].boots.state === 'ready-local' && this.size > 1) {
+        this.logger.info('no worker could be started, pool will use a single local socks (main thread eval).');
+        this.size = 1;
+      }
+      if (this.isTerminated) {
+        return;
+      }
+      return Promise.all(Array.from({ length: this.size - 1 }, () => this.addWorker()));
+    }).then(() => this);
+    // every boots already reports its own failure through onError or its logger
+    this.readyPromise.catch(() => {});
+  }
+
+  ready() {
+    return this.readyPromise;
+  }
+
+  // starts another boots, resolving once it is ready and taking tasks
+  addWorker() {
+    const worker = {
+      boots: new WorkBoots({ socksFile: this.socksFile, ...this.options }),
+      pending: 0,
+      isReady: false
+    };
+    worker.boots.on('statechange', ({ state }) => {
+      if (state === 'failed' || state === 'terminated') {
+        this.workerStopped();
+      }
+    });
+    this.workers.push(worker);
+
+    return worker.boots.ready().then(() => {
+      worker.isReady = true;
+      this.drain();
+    });
+  }
+
+  /**
+    runs a method exposed by the socks file on the least busy worker.
+
+    @param method [string] the name of the exposed method
+    @param args [...any] arguments to pass, these must be structured cloneable
+   */
+  exec(method, ...args) {
+    if (this.isTerminated) {
+      return Promise.reject(new Error('pool has been terminated'));
+    }
+    if (!this.workers.some(isRunning)) {
+      return Promise.reject(new Error('every worker in the pool has stopped'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ method, args, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    let worker;
+    while (this.queue.length && (worker = this.leastBusyWorker())) {
+      const { method, args, resolve, reject } = this.queue.shift();
+      const dispatched = worker;
+
+      dispatched.pending++;
+      dispatched.boots.call(method, ...args).then(resolve, reject).finally(() => {
+        dispatched.pending--;
+        this.drain();
+      });
+    }
+  }
+
+  leastBusyWorker() {
+    return this.workers
+      .filter(worker => worker.isReady && isRunning(worker) && worker.pending < this.concurrency)
+      .reduce((best, worker) => (!best || worker.pending < best.pending ? worker : best), undefined);
+  }
+
+  // a worker that failed or was terminated gets no more tasks, once none is left queued tasks would wait forever
+  workerStopped() {
+    if (this.isTerminated || this.workers.some(isRunning)) {
+      return;
+    }
+    this.queue.forEach(({ reject }) => reject(new Error('every worker in the pool has stopped')));
+    this.queue = [];
+  }
+
+  // see WorkBoots.terminate, resolves once every worker has stopped
+  terminate(options) {
+    this.isTerminated = true;
+    this.queue.forEach(({ reject }) => reject(new Error('pool terminated before the task was dispatched')));
+    this.queue = [];
+    return Promise.all(this.workers.map(worker => worker.boots.terminate(options)));
   }
 }
 
+// the built-in transports, for instantiateWorker factories and new Socks(transport)
+WorkBoots.transports = transports;
+Socks.transports = transports;
+// the handshake version, for transports and mocks that speak the protocol themselves
+WorkBoots.protocolVersion = PROTOCOL_VERSION;
+
 // Universal exports for all environments
-export { WorkBoots, Socks };
+export { WorkBoots, Socks, WorkBootsPool };
 
 // CommonJS compatibility for Browserify
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { WorkBoots, Socks };
+  module.exports = { WorkBoots, Socks, WorkBootsPool };
 }
 
 // AMD compatibility
 if (typeof define === 'function' && define.amd) {
   define([], function() {
-    return { WorkBoots, Socks };
+    return { WorkBoots, Socks, WorkBootsPool };
   });
 }
 
@@ -349,4 +2300,5 @@ if (typeof define === 'function' && define.amd) {
 if (typeof window !== 'undefined') {
   window.WorkBoots = WorkBoots;
   window.Socks = Socks;
+  window.WorkBootsPool = WorkBootsPool;
 } 
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots } from './index.js';
+import { createMockWorkerPair, noWorkers } from './test-utils.js';
+
+// the package isn't installed under its own name here, so workers load Socks straight from source
+const socksModule = new URL('./work-boots.js', import.meta.url).href;
+// a fresh copy of the module as a browser page or a worker scope sees it, neither has Node's process.versions
+const loadAs = async (name, globals = {}) => {
+  const versions = Object.getOwnPropertyDescriptor(process, 'versions');
+  Object.defineProperty(process, 'versions', { value: {}, configurable: true });
+  Object.assign(globalThis, globals);
+  try {
+    return await import(`./index.js?${name}`);
+  } finally {
+    Object.defineProperty(process, 'versions', versions);
+    Object.keys(globals).forEach(key => delete globalThis[key]);
+  }
+};
+
+describe('inline socks', () => {
+  describe('Worker mode', () => {
+    test('should run a function in a worker thread', async () => {
+      const workBoots = WorkBoots.fromFunction((socks) => {
+        const { threadId } = require('worker_threads');
+        socks.expose({
+          add: (a, b) => a + b,
+          threadId: () => threadId
+        });
+      }, { socksModule });
+
+      await workBoots.ready();
+      expect(workBoots.supportsWorker).toBe(true);
+      await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+      await expect(workBoots.call('threadId')).resolves.toBeGreaterThan(0);
+      workBoots.terminate();
+    });
+
+    test('should accept a source string as the function body', async () => {
+      const workBoots = new WorkBoots({
+        socksSource: 'socks.expose({ double: (value) => value * 2 });',
+        socksModule
+      });
+
+      await expect(workBoots.call('double', 21)).resolves.toBe(42);
+      workBoots.terminate();
+    });
+
+    test('should wait for an async function before calling socks.ready()', async () => {
+      const workBoots = WorkBoots.fromFunction(async (socks) => {
+        const config = await new Promise(resolve => setTimeout(() => resolve({ factor: 3 }), 20));
+        socks.expose({ scale: (value) => value * config.factor });
+      }, { socksModule });
+
+      await expect(workBoots.call('scale', 5)).resolves.toBe(15);
+      workBoots.terminate();
+    });
+  });
+
+  describe('Browser worker', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete globalThis.Worker;
+    });
+
+    test('should run the Blob URL script in a worker scope and complete the handshake', async () => {
+      const page = await loadAs('browser-page', {
+        window: {},
+        document: { currentScript: { src: 'https://example.test/workboots.js' } }
+      });
+      const workerScope = await loadAs('worker-scope');
+
+      const blobs = new Map();
+      jest.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+        blobs.set('blob:socks', blob);
+        return 'blob:socks';
+      });
+      const imported = [];
+      // runs the script the way a classic worker would, with the bundle's globals on self
+      globalThis.Worker = class {
+        constructor(url) {
+          const { worker, scope } = createMockWorkerPair();
+          scope.WorkBoots = workerScope;
+          blobs.get(url).text().then(script => new Function('self', 'importScripts', script)(scope, url => imported.push(url)));
+          return worker;
+        }
+      };
+
+      const workBoots = page.WorkBoots.fromFunction((socks) => {
+        socks.expose({ add: (a, b) => a + b });
+      });
+
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+      await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+      expect(imported).toEqual(['https://example.test/workboots.js']);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should run the function locally, closures included', async () => {
+      const calls = [];
+      const workBoots = WorkBoots.fromFunction((socks) => {
+        socks.expose({ record: (value) => calls.push(value) });
+      }, { instantiateWorker: noWorkers });
+
+      await workBoots.ready();
+      expect(workBoots.supportsWorker).toBe(false);
+      await expect(workBoots.call('record', 'local')).resolves.toBe(1);
+      expect(calls).toEqual(['local']);
+    });
+
+    test('should reject ready() when the function throws', async () => {
+      const workBoots = WorkBoots.fromFunction(() => {
+        throw new Error('bad setup');
+      }, { instantiateWorker: noWorkers });
+
+      const error = await workBoots.ready().catch(e => e);
+      expect(error.message).toBe('inline socks failed: bad setup');
+      expect(error.cause.message).toBe('bad setup');
+    });
+
+    test('should fall back when process isolation is asked for', async () => {
+      const workBoots = WorkBoots.fromFunction((socks) => {
+        socks.expose({ ping: () => 'pong' });
+      }, { isolation: 'process', socksModule });
+
+      await expect(workBoots.call('ping')).resolves.toBe('pong');
+      expect(workBoots.supportsWorker).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots, Socks } from './index.js';
+import { MockNodeWorker, wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+describe('Message listeners', () => {
+  describe('WorkBoots', () => {
+    test('should remove the internal ready listener once ready resolves', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      expect(workBoots.listenerCount('message')).toBe(1);
+
+      socks.ready();
+      await workBoots.ready();
+
+      expect(workBoots.listenerCount('message')).toBe(0);
+    });
+
+    test('should resolve ready() when onMessage is set before the handshake', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      workBoots.onMessage(() => {});
+      socks.ready();
+
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+    });
+
+    test('should call every listener added with on() and stop after off()', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.ready();
+      await workBoots.ready();
+
+      const first = jest.fn();
+      const second = jest.fn();
+      workBoots.on('message', first);
+      workBoots.on('message', second);
+      workBoots.on('message', first);
+
+      socks.postMessage({ n: 1 });
+      await wait(10);
+      workBoots.off('message', first);
+      socks.postMessage({ n: 2 });
+      await wait(10);
+
+      expect(first.mock.calls.map(([{ data }]) => data)).toEqual([{ n: 1 }]);
+      expect(second.mock.calls.map(([{ data }]) => data)).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    test('should replace the previous onMessage callback but keep on() listeners', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.ready();
+      await workBoots.ready();
+
+      const listener = jest.fn();
+      const replaced = jest.fn();
+      const current = jest.fn();
+      workBoots.on('message', listener);
+      workBoots.onMessage(replaced);
+      workBoots.onMessage(current);
+
+      socks.postMessage('hello');
+      await wait(10);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(replaced).not.toHaveBeenCalled();
+      expect(current).toHaveBeenCalledWith({ data: 'hello' });
+    });
+
+    test('should hand worker_threads listeners the same { data } shape as browsers', async () => {
+      const worker = new MockNodeWorker('./worker.js');
+      const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => worker });
+      await workBoots.ready();
+
+      const first = jest.fn();
+      const second = jest.fn();
+      workBoots.on('message', first);
+      workBoots.on('message', second);
+      worker.emit('message', { value: 1 });
+      workBoots.off('message', first);
+      worker.emit('message', { value: 2 });
+
+      expect(first.mock.calls).toEqual([[{ data: { value: 1 } }]]);
+      expect(second.mock.calls).toEqual([[{ data: { value: 1 } }], [{ data: { value: 2 } }]]);
+    });
+
+    test('should support several error and exit listeners', () => {
+      const { workBoots, worker } = createWorkerBoots({ ready: false });
+      const errors = [jest.fn(), jest.fn()];
+      const exits = jest.fn();
+      errors.forEach(listener => workBoots.on('error', listener));
+      workBoots.on('exit', exits);
+
+      worker.onerror(new Error('boom'));
+      workBoots.off('error', errors[0]);
+      worker.onerror(new Error('again'));
+      workBoots.terminate();
+
+      expect(errors[0]).toHaveBeenCalledTimes(1);
+      expect(errors[1]).toHaveBeenCalledTimes(2);
+      expect(exits).toHaveBeenCalledWith(0);
+    });
+
+    test('should add and remove listeners in the main thread fallback', async () => {
+      const workBoots = createLocalBoots();
+      await workBoots.ready();
+      expect(workBoots.listenerCount('message')).toBe(0);
+
+      const first = jest.fn();
+      const second = jest.fn();
+      workBoots.on('message', first);
+      workBoots.on('message', second);
+      workBoots.socks.postMessage({ local: 1 });
+      workBoots.off('message', second);
+      workBoots.socks.postMessage({ local: 2 });
+
+      expect(first.mock.calls).toEqual([[{ data: { local: 1 } }], [{ data: { local: 2 } }]]);
+      expect(second.mock.calls).toEqual([[{ data: { local: 1 } }]]);
+    });
+  });
+
+  describe('Socks', () => {
+    test('should call every listener in worker mode', async () => {
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      const first = jest.fn();
+      const second = jest.fn();
+      socks.on('message', first);
+      socks.onMessage(second);
+      socks.ready();
+      await workBoots.ready();
+
+      workBoots.postMessage({ n: 1 });
+      await wait(10);
+      socks.off('message', first);
+      workBoots.postMessage({ n: 2 });
+      await wait(10);
+
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second.mock.calls.map(([{ data }]) => data)).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    test('should replace the previous onMessage callback in the main thread fallback', () => {
+      const socks = new Socks();
+      const listener = jest.fn();
+      const replaced = jest.fn();
+      const current = jest.fn();
+      socks.on('message', listener);
+      socks.onMessage(replaced);
+      socks.onMessage(current);
+
+      socks.onMessageLocal({ data: 'hi' });
+
+      expect(listener).toHaveBeenCalledWith({ data: 'hi' });
+      expect(replaced).not.toHaveBeenCalled();
+      expect(current).toHaveBeenCalledWith({ data: 'hi' });
+    });
+
+    test('should drop local messages when nothing is listening, like a worker does', () => {
+      const socks = new Socks();
+      const listener = jest.fn();
+      socks.on('message', listener);
+      socks.off('message', listener);
+
+      expect(() => socks.onMessageLocal({ data: 'hi' })).not.toThrow();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should let a socks method post while boots is not listening, in every mode', async () => {
+      const noted = socks => () => {
+        socks.postMessage({ note: 'working on it' });
+        return 1;
+      };
+      const { workBoots, socks } = createWorkerBoots({ ready: false });
+      socks.expose({ noted: noted(socks) });
+      socks.ready();
+      const local = createLocalBoots();
+      await local.ready();
+      local.socks.expose({ noted: noted(local.socks) });
+
+      await expect(workBoots.call('noted')).resolves.toBe(1);
+      await expect(local.call('noted')).resolves.toBe(1);
+    });
+  });
+});
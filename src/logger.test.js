@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots, Socks } from './index.js';
+import { createMockWorkerPair, noWorkers } from './test-utils.js';
+
+const createSink = () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  log: jest.fn()
+});
+
+describe('Logger', () => {
+  beforeEach(() => {
+    console.log.mockClear();
+  });
+
+  test('should be silent by default', async () => {
+    const workBoots = new WorkBoots({ socksFile: './work-boots.test.rpc.socks.js', instantiateWorker: noWorkers });
+    await workBoots.ready();
+    await workBoots.call('add', 1, 2);
+
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('should reproduce the per message diagnostics at debug level, namespaced by socks file', async () => {
+    const sink = createSink();
+    const workBoots = new WorkBoots({
+      socksFile: './work-boots.test.rpc.socks.js',
+      instantiateWorker: noWorkers,
+      logger: { level: 'debug', sink }
+    });
+    await workBoots.ready();
+    await workBoots.call('add', 1, 2);
+
+    expect(sink.info).toHaveBeenCalledWith(
+      '[workboots:./work-boots.test.rpc.socks.js]',
+      'background worker not supported, switching to shorter socks (main thread eval).',
+      expect.any(Error)
+    );
+    expect(sink.debug).toHaveBeenCalledWith('[workboots:./work-boots.test.rpc.socks.js]', 'supports worker: false');
+  });
+
+  test('should only log at or above the configured level', () => {
+    const sink = createSink();
+    const { worker } = createMockWorkerPair();
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => worker,
+      maxQueueLength: 0,
+      logger: { level: 'warn', sink, namespace: 'indexer' }
+    });
+
+    workBoots.postMessage('dropped');
+    workBoots.handleError(new Error('nobody listening'));
+
+    expect(sink.debug).not.toHaveBeenCalled();
+    expect(sink.info).not.toHaveBeenCalled();
+    expect(sink.warn).toHaveBeenCalledWith('[workboots:indexer]', 'outbound queue is full, dropping the oldest message');
+    expect(sink.error).toHaveBeenCalledWith('[workboots:indexer]', 'unhandled worker error, register one with onError():', expect.any(Error));
+  });
+
+  test('should accept a bare level and log to the console', () => {
+    const debug = jest.spyOn(console, 'debug').mockImplementation(() => {});
+    const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => createMockWorkerPair().worker, logger: 'debug' });
+    workBoots.replayReceivedBeforeReady(() => {});
+    workBoots.receivedBeforeReady = [[{ data: 1 }]];
+    workBoots.replayReceivedBeforeReady(() => {});
+
+    expect(debug).toHaveBeenCalledTimes(1);
+    expect(debug).toHaveBeenCalledWith(
+      '[workboots:./worker.js]',
+      'messages received before socks loaded now replaying (not necessarily a problem, but loading out of order):'
+    );
+    debug.mockRestore();
+  });
+
+  test('should give Socks its own logger and name', () => {
+    const sink = createSink();
+    const socks = new Socks(undefined, { logger: { sink }, name: 'parser' });
+
+    socks.onMessage(() => {});
+
+    expect(sink.debug).toHaveBeenCalledWith('[workboots:parser]', 'support false');
+  });
+
+  test('should let a local Socks inherit the boots logger', () => {
+    const sink = createSink();
+    const socks = new Socks(undefined, { name: 'parser' });
+    socks.enterBoots({ loggerOptions: { sink }, onMessageLocal: jest.fn() });
+
+    socks.onMessage(() => {});
+
+    expect(sink.debug).toHaveBeenCalledWith('[workboots:parser]', 'support false');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+// a socks that echoes every message back, and exposes add like the rpc socks file
+const createEchoBoots = (setup = () => {}) => createWorkerBoots({
+  methods: { add: (a, b) => a + b },
+  setup: (socks) => {
+    socks.onMessage(({ data }) => socks.postMessage({ echo: data }));
+    setup(socks);
+  }
+});
+
+// records "<direction> <type>" for every message the middleware sees
+const recordTypes = (seen) => (context, next) => {
+  seen.push(`${context.direction} ${context.type}`);
+  return next();
+};
+
+describe('use(middleware)', () => {
+  test('should run middleware in order, transforming messages on both sides', async () => {
+    const { workBoots } = createEchoBoots(socks => {
+      socks.use((context, next) => next(context.direction === 'receive' && context.type === 'message' ? { ...context, data: { ...context.data, socks: true } } : context));
+    });
+    const order = [];
+    workBoots
+      .use((context, next) => {
+        order.push(`first ${context.direction}`);
+        return next(context.direction === 'send' && context.type === 'message' ? { ...context, data: { ...context.data, boots: true } } : context);
+      })
+      .use((context, next) => {
+        order.push(`second ${context.direction}`);
+        return next();
+      });
+    await workBoots.ready();
+    order.length = 0;
+
+    const reply = new Promise(resolve => workBoots.onMessage(({ data }) => resolve(data)));
+    workBoots.postMessage({ hello: 'socks' });
+
+    await expect(reply).resolves.toEqual({ echo: { hello: 'socks', boots: true, socks: true } });
+    expect(order).toEqual(['first send', 'second send', 'first receive', 'second receive']);
+  });
+
+  test('should keep messages in order while async middleware holds them', async () => {
+    const { workBoots } = createEchoBoots();
+    workBoots.use(async (context, next) => {
+      if (context.data?.value === 1) {
+        await wait(20);
+      }
+      return next();
+    });
+    await workBoots.ready();
+
+    const received = [];
+    workBoots.onMessage(({ data }) => received.push(data.echo.value));
+    [1, 2, 3].forEach(value => workBoots.postMessage({ value }));
+    await wait(50);
+
+    expect(received).toEqual([1, 2, 3]);
+  });
+
+  test('should drop messages a middleware does not pass on', async () => {
+    const { workBoots } = createEchoBoots();
+    workBoots.use((context, next) => (context.data?.echo?.secret ? undefined : next()));
+    await workBoots.ready();
+
+    const received = [];
+    workBoots.onMessage(({ data }) => received.push(data.echo));
+    workBoots.postMessage({ secret: true });
+    workBoots.postMessage({ secret: false });
+    await wait(20);
+
+    expect(received).toEqual([{ secret: false }]);
+  });
+
+  test('should let middleware answer a call without it reaching the socks', async () => {
+    const add = jest.fn((a, b) => a + b);
+    const { workBoots } = createEchoBoots(socks => {
+      socks.expose({ add });
+      socks.use((context, next) => {
+        if (context.type === 'call' && context.data.args[0] === 0) {
+          context.respond({ __workboots: 'result', id: context.data.id, result: context.data.args[1] });
+          return;
+        }
+        return next();
+      });
+    });
+    await workBoots.ready();
+
+    await expect(workBoots.call('add', 0, 5)).resolves.toBe(5);
+    await expect(workBoots.call('add', 1, 5)).resolves.toBe(6);
+    expect(add).toHaveBeenCalledTimes(1);
+  });
+
+  test('should see the same messages in a worker and in the main thread fallback', async () => {
+    const run = async (workBoots, socks) => {
+      const boots = [];
+      const socksSide = [];
+      await workBoots.ready();
+      workBoots.use(recordTypes(boots));
+      socks.use(recordTypes(socksSide));
+      await workBoots.call('add', 1, 2);
+      return { boots, socks: socksSide };
+    };
+
+    const worker = createEchoBoots();
+    const local = createLocalBoots();
+    await local.ready();
+
+    const expected = { boots: ['send call', 'receive result'], socks: ['receive call', 'send result'] };
+    await expect(run(worker.workBoots, worker.socks)).resolves.toEqual(expected);
+    await expect(run(local, local.socks)).resolves.toEqual(expected);
+  });
+
+  test('should send middleware errors to onError and drop the message', async () => {
+    const { workBoots } = createEchoBoots();
+    const errors = [];
+    workBoots.onError(error => errors.push(error.message));
+    workBoots.use((context, next) => {
+      if (context.data?.bad) {
+        throw new Error('bad message');
+      }
+      return next();
+    });
+    await workBoots.ready();
+
+    const received = [];
+    workBoots.onMessage(({ data }) => received.push(data.echo));
+    workBoots.postMessage({ bad: true });
+    workBoots.postMessage({ bad: false });
+    await wait(20);
+
+    expect(errors).toEqual(['bad message']);
+    expect(received).toEqual([{ bad: false }]);
+  });
+
+  test('should report socks middleware errors to boots', async () => {
+    const { workBoots } = createEchoBoots(socks => {
+      socks.use((context, next) => {
+        if (context.type === 'message') {
+          throw new Error('socks middleware failed');
+        }
+        return next();
+      });
+    });
+    const error = new Promise(resolve => workBoots.onError(resolve));
+    await workBoots.ready();
+
+    workBoots.postMessage({ hello: 'socks' });
+    await expect(error).resolves.toMatchObject({ message: 'socks middleware failed' });
+  });
+
+  test('should only accept functions', () => {
+    const { workBoots, socks } = createEchoBoots();
+    expect(() => workBoots.use({})).toThrow('middleware must be a function');
+    expect(() => socks.use(null)).toThrow('middleware must be a function');
+    workBoots.terminate();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots, WorkBootsPool } from './index.js';
+import { wait, createLinkedWorker } from './test-utils.js';
+
+const createPooledWorkerFactory = (methods) => {
+  const workers = [];
+  const factory = jest.fn(() => {
+    const { worker } = createLinkedWorker({ methods: methods(workers.length) });
+    workers.push(worker);
+    return worker;
+  });
+  return { factory, workers };
+};
+
+const sleepy = (index) => ({
+  work: (ms, value) => new Promise(resolve => setTimeout(() => resolve({ worker: index, value }), ms))
+});
+
+describe('WorkBootsPool', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should spawn size workers and resolve ready() with the pool', async () => {
+    const { factory } = createPooledWorkerFactory(sleepy);
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 3, instantiateWorker: factory });
+
+    await expect(pool.ready()).resolves.toBe(pool);
+    expect(factory).toHaveBeenCalledTimes(3);
+    expect(pool.workers.length).toBe(3);
+  });
+
+  test('should dispatch tasks to the least busy worker', async () => {
+    const { factory } = createPooledWorkerFactory(sleepy);
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 2, instantiateWorker: factory });
+    await pool.ready();
+
+    const results = await Promise.all([
+      pool.exec('work', 20, 'a'),
+      pool.exec('work', 20, 'b')
+    ]);
+
+    expect(results.map(({ worker }) => worker).sort()).toEqual([0, 1]);
+  });
+
+  test('should queue tasks while every worker is busy', async () => {
+    const { factory } = createPooledWorkerFactory(sleepy);
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 1, instantiateWorker: factory });
+    await pool.ready();
+
+    const first = pool.exec('work', 20, 'first');
+    const second = pool.exec('work', 0, 'second');
+    await wait(5);
+
+    expect(pool.queue.length).toBe(1);
+    expect(pool.workers[0].pending).toBe(1);
+    await expect(first).resolves.toEqual({ worker: 0, value: 'first' });
+    await expect(second).resolves.toEqual({ worker: 0, value: 'second' });
+    expect(pool.workers[0].pending).toBe(0);
+  });
+
+  test('should queue tasks sent before the workers are ready', async () => {
+    const { factory } = createPooledWorkerFactory(sleepy);
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 2, instantiateWorker: factory });
+
+    await expect(pool.exec('work', 0, 'early')).resolves.toEqual(expect.objectContaining({ value: 'early' }));
+  });
+
+  test('should reject tasks with errors thrown by the worker', async () => {
+    const { factory } = createPooledWorkerFactory(() => ({ fail: () => { throw new RangeError('nope'); } }));
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 2, instantiateWorker: factory });
+
+    await expect(pool.exec('fail')).rejects.toThrow('nope');
+    await expect(pool.exec('fail')).rejects.toThrow('nope');
+  });
+
+  test('should reject queued and new tasks after terminate()', async () => {
+    const { factory, workers } = createPooledWorkerFactory(sleepy);
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 1, instantiateWorker: factory });
+    await pool.ready();
+
+    const running = pool.exec('work', 50, 'running');
+    const queued = pool.exec('work', 0, 'queued');
+    pool.terminate();
+
+    await expect(queued).rejects.toThrow('pool terminated before the task was dispatched');
+    await expect(running).rejects.toThrow('worker terminated before the call completed');
+    await expect(pool.exec('work', 0, 'late')).rejects.toThrow('pool has been terminated');
+    expect(workers.every(worker => worker.terminated)).toBe(true);
+  });
+
+  test('should stop dispatching to a worker that crashed', async () => {
+    const { factory } = createPooledWorkerFactory(index => ({
+      hang: () => new Promise(() => {}),
+      add: (a, b) => ({ worker: index, sum: a + b })
+    }));
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 2, instantiateWorker: factory });
+    await pool.ready();
+
+    const crashed = pool.exec('hang');
+    pool.workers[0].boots.handleExit(1);
+
+    await expect(crashed).rejects.toThrow('worker exited with code 1 before the call completed');
+    await expect(pool.exec('add', 0, 1)).resolves.toEqual({ worker: 1, sum: 1 });
+    await expect(pool.exec('add', 1, 1)).resolves.toEqual({ worker: 1, sum: 2 });
+  });
+
+  test('should reject queued and new tasks once every worker has stopped', async () => {
+    const { factory } = createPooledWorkerFactory(() => ({ hang: () => new Promise(() => {}) }));
+    const pool = new WorkBootsPool({ socksFile: './worker.js', size: 1, instantiateWorker: factory });
+    await pool.ready();
+
+    const running = pool.exec('hang').catch(e => e);
+    const queued = pool.exec('hang');
+    pool.workers[0].boots.handleExit(1);
+
+    await expect(queued).rejects.toThrow('every worker in the pool has stopped');
+    expect((await running).message).toBe('worker exited with code 1 before the call completed');
+    await expect(pool.exec('hang')).rejects.toThrow('every worker in the pool has stopped');
+  });
+
+  test('should not leave a failed ready() unhandled', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    const pool = new WorkBootsPool({
+      socksFile: './worker.js',
+      size: 2,
+      fallback: false,
+      instantiateWorker: () => { throw new Error('no workers here'); }
+    });
+    await wait(10);
+    process.off('unhandledRejection', unhandled);
+
+    expect(unhandled).not.toHaveBeenCalled();
+    await expect(pool.ready()).rejects.toThrow('failed to instantiate a worker');
+    await expect(pool.exec('add', 1, 2)).rejects.toThrow('every worker in the pool has stopped');
+  });
+
+  test('should fall back to a single local socks when the worker factory throws', async () => {
+    const factory = jest.fn(() => { throw new Error('no workers here'); });
+    const pool = new WorkBootsPool({ socksFile: './work-boots.test.rpc.socks.js', size: 3, instantiateWorker: factory });
+
+    await pool.ready();
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(pool.workers.map(({ boots }) => boots.state)).toEqual(['ready-local']);
+    await expect(Promise.all([1, 2, 3].map(n => pool.exec('add', n, n)))).resolves.toEqual([2, 4, 6]);
+  });
+
+  test('should fall back to a single local socks without worker support', async () => {
+    jest.spyOn(WorkBoots.prototype, 'detectWorkerSupport').mockReturnValue(false);
+    const pool = new WorkBootsPool({ socksFile: './work-boots.test.rpc.socks.js', size: 4 });
+
+    await pool.ready();
+    expect(pool.workers.length).toBe(1);
+    await expect(pool.exec('add', 1, 2)).resolves.toBe(3);
+  });
+});
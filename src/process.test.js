@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { WorkBoots } from './index.js';
+import { wait } from './test-utils.js';
+
+const socksFile = fileURLToPath(new URL('./work-boots.test.process.socks.js', import.meta.url));
+
+const createProcessBoots = (options = {}) => new WorkBoots({ socksFile, isolation: 'process', ...options });
+
+const waitForExit = (workBoots) => new Promise(resolve => workBoots.onExit((code, signal) => resolve({ code, signal })));
+
+describe('process isolation', () => {
+  jest.setTimeout(20000);
+
+  test('should run the socks file in a forked process', async () => {
+    const workBoots = createProcessBoots();
+
+    await expect(workBoots.ready()).resolves.toEqual({ rpc: true, streaming: true, channels: true, transfer: false });
+    expect(workBoots.transport.capabilities).toEqual({ transfer: false, exit: true });
+    await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+    await expect(workBoots.call('pid')).resolves.not.toBe(process.pid);
+
+    const exited = waitForExit(workBoots);
+    workBoots.terminate();
+    await exited;
+  });
+
+  test('should deliver plain messages with structured clone serialization', async () => {
+    const workBoots = createProcessBoots();
+    const messages = [];
+    workBoots.onMessage(({ data }) => messages.push(data));
+    await workBoots.ready();
+
+    workBoots.postMessage({ when: new Date(0), tags: new Map([['a', 1]]) });
+    while (!messages.some(data => data?.echo)) {
+      await wait(20);
+    }
+
+    const { echo } = messages.find(data => data?.echo);
+    expect(echo.when.getTime()).toBe(0);
+    expect(echo.tags.get('a')).toBe(1);
+
+    const exited = waitForExit(workBoots);
+    workBoots.terminate();
+    await exited;
+  });
+
+  test('should kill the child on terminate and report the signal', async () => {
+    const workBoots = createProcessBoots();
+    await workBoots.ready();
+    const pid = await workBoots.call('pid');
+
+    const exited = waitForExit(workBoots);
+    workBoots.terminate();
+
+    await expect(exited).resolves.toEqual({ code: 1, signal: 'SIGTERM' });
+    expect(() => process.kill(pid, 0)).toThrow();
+  });
+
+  test('should surface the exit code and reject pending calls when the child exits', async () => {
+    const workBoots = createProcessBoots();
+    await workBoots.ready();
+
+    const exited = waitForExit(workBoots);
+    const pending = workBoots.call('exit', 3).catch(error => error);
+
+    await expect(exited).resolves.toEqual({ code: 3, signal: undefined });
+    expect((await pending).message).toBe('worker exited with code 3 before the call completed');
+  });
+});
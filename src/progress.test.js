@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+const steps = (count, { reportProgress }) => {
+  for (let i = 1; i <= count; i++) {
+    reportProgress(i / count, { step: i });
+  }
+  return count;
+};
+
+describe('progress', () => {
+  describe('Worker mode', () => {
+    test('should deliver progress to the request that subscribed', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          slowSteps: async (count, { reportProgress }) => {
+            for (let i = 1; i <= count; i++) {
+              reportProgress(i / count, { step: i });
+              await wait(15);
+            }
+            return 'done';
+          }
+        },
+        progressInterval: 0
+      });
+      const onProgress = jest.fn();
+      const other = jest.fn();
+      const messages = jest.fn();
+      workBoots.on('message', messages);
+
+      const results = await Promise.all([
+        workBoots.invoke('slowSteps', [2], { onProgress }),
+        workBoots.invoke('slowSteps', [1], { onProgress: other }),
+        workBoots.call('slowSteps', 1)
+      ]);
+
+      expect(results).toEqual(['done', 'done', 'done']);
+      expect(onProgress.mock.calls).toEqual([[0.5, { step: 1 }], [1, { step: 2 }]]);
+      expect(other.mock.calls).toEqual([[1, { step: 1 }]]);
+      expect(messages.mock.calls.map(([{ data }]) => data)).not.toContainEqual(expect.objectContaining({ value: 0.5 }));
+    });
+
+    test('should throttle reports and always deliver the latest one before the result', async () => {
+      const { workBoots, socks } = createWorkerBoots({ methods: { steps } });
+      await workBoots.ready();
+      const postMessage = jest.spyOn(socks, 'postMessage');
+      const reports = [];
+
+      const result = await workBoots.invoke('steps', [1000], {
+        onProgress: (value) => reports.push(value),
+        progressInterval: 50
+      });
+
+      expect(result).toBe(1000);
+      expect(reports).toEqual([0.001, 1]);
+      expect(postMessage).toHaveBeenCalledTimes(3);
+    });
+
+    test('should send trailing reports once the interval is up', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          twice: async ({ reportProgress }) => {
+            reportProgress(0.1);
+            reportProgress(0.2);
+            await wait(60);
+            return 'done';
+          }
+        }
+      });
+      const reports = [];
+
+      await workBoots.invoke('twice', [], { onProgress: value => reports.push(value), progressInterval: 20 });
+
+      expect(reports).toEqual([0.1, 0.2]);
+    });
+
+    test('should send errors thrown by onProgress to onError', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { steps }, progressInterval: 0 });
+      const errors = [];
+      workBoots.onError(error => errors.push(error.message));
+      const onProgress = () => { throw new Error('progress bar gone'); };
+
+      await expect(workBoots.invoke('steps', [2], { onProgress })).resolves.toBe(2);
+      expect(errors).toEqual(['progress bar gone', 'progress bar gone']);
+    });
+
+    test('should not send progress frames nobody subscribed to', async () => {
+      const { workBoots, socks } = createWorkerBoots({ methods: { steps } });
+      await workBoots.ready();
+      const postMessage = jest.spyOn(socks, 'postMessage');
+
+      await expect(workBoots.call('steps', 100)).resolves.toBe(100);
+      expect(postMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report progress from streams', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          count: async function* (n, { reportProgress }) {
+            for (let i = 1; i <= n; i++) {
+              yield i;
+              reportProgress(i / n);
+            }
+          }
+        }
+      });
+      const reports = [];
+      const values = [];
+
+      for await (const value of workBoots.stream('count', [3], { onProgress: value => reports.push(value), progressInterval: 1000 })) {
+        values.push(value);
+      }
+
+      expect(values).toEqual([1, 2, 3]);
+      expect(reports).toEqual([1 / 3, 1]);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should throttle progress the same way', async () => {
+      const workBoots = createLocalBoots();
+      const onProgress = jest.fn();
+
+      await expect(workBoots.invoke('steps', [10], { onProgress, progressInterval: 1000 })).resolves.toBe(10);
+      expect(onProgress.mock.calls).toEqual([[0.1, { step: 1 }], [1, { step: 10 }]]);
+    });
+  });
+});
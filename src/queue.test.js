@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots } from './index.js';
+import { wait, createWorkerBoots } from './test-utils.js';
+
+// a socks that records what it receives, without calling ready() so messages queue in boots
+const createRecordingBoots = (options = {}) => {
+  const received = [];
+  const boots = createWorkerBoots({
+    ready: false,
+    setup: socks => socks.onMessage(({ data }) => received.push(data)),
+    ...options
+  });
+  jest.spyOn(boots.worker, 'postMessage');
+  return { ...boots, received };
+};
+
+describe('Outbound queue', () => {
+  test('should hold messages until the socks handshake, then flush them in order', async () => {
+    const { workBoots, socks, worker, received } = createRecordingBoots();
+    const buffer = new ArrayBuffer(8);
+
+    workBoots.postMessage({ n: 1 });
+    workBoots.postMessage({ n: 2 }, null, [buffer]);
+    expect(worker.postMessage).not.toHaveBeenCalled();
+    expect(workBoots.outbox.length).toBe(2);
+
+    socks.ready();
+    await workBoots.ready();
+    await wait(10);
+
+    expect(worker.postMessage.mock.calls).toEqual([[{ n: 1 }, []], [{ n: 2 }, [buffer]]]);
+    expect(received).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(workBoots.outbox.length).toBe(0);
+  });
+
+  test('should not loop queued messages back to the caller', async () => {
+    const { workBoots, socks } = createRecordingBoots();
+    const onMessage = jest.fn();
+    workBoots.onMessage(onMessage);
+
+    workBoots.postMessage({ n: 1 });
+    socks.ready();
+    await workBoots.ready();
+    await wait(10);
+
+    expect(onMessage.mock.calls.map(([{ data }]) => data)).not.toContainEqual({ n: 1 });
+  });
+
+  test('should drop the oldest messages by default when full', async () => {
+    const { workBoots, socks, received } = createRecordingBoots({ maxQueueLength: 2 });
+
+    workBoots.postMessage(1);
+    workBoots.postMessage(2);
+    workBoots.postMessage(3);
+    socks.ready();
+    await workBoots.ready();
+    await wait(10);
+
+    expect(received).toEqual([2, 3]);
+  });
+
+  test('should drop the newest message with drop-newest', async () => {
+    const { workBoots, socks, received } = createRecordingBoots({ maxQueueLength: 2, queueOverflow: 'drop-newest' });
+
+    workBoots.postMessage(1);
+    workBoots.postMessage(2);
+    workBoots.postMessage(3);
+    socks.ready();
+    await workBoots.ready();
+    await wait(10);
+
+    expect(received).toEqual([1, 2]);
+  });
+
+  test('should reject the calls and streams behind dropped frames', async () => {
+    const { workBoots } = createWorkerBoots({ methods: { add: (a, b) => a + b }, restart: { backoff: 1000 }, maxQueueLength: 1 });
+    await workBoots.ready();
+    // while the replacement worker is on its way, calls and streams queue like any message
+    workBoots.handleExit(1);
+
+    const oldest = workBoots.call('add', 1, 2);
+    const stream = workBoots.stream('count', [2]).next();
+    const newest = workBoots.call('add', 3, 4).catch(error => error);
+
+    await expect(oldest).rejects.toThrow('outbound queue is full (1 messages), the call to add was dropped');
+    await expect(stream).rejects.toThrow('outbound queue is full (1 messages), the stream to count was dropped');
+    expect(workBoots.getStats().pendingCalls).toBe(1);
+    workBoots.terminate();
+    expect((await newest).message).toBe('worker terminated before the call completed');
+    expect(workBoots.getStats().pendingCalls).toBe(0);
+  });
+
+  test('should reject a call that drop-newest turns away', async () => {
+    const { workBoots } = createWorkerBoots({
+      methods: { add: (a, b) => a + b },
+      restart: { backoff: 1000 },
+      maxQueueLength: 1,
+      queueOverflow: 'drop-newest'
+    });
+    await workBoots.ready();
+    workBoots.handleExit(1);
+
+    workBoots.postMessage('queued');
+    await expect(workBoots.call('add', 1, 2)).rejects.toThrow('outbound queue is full (1 messages), the call to add was dropped');
+    await expect(workBoots.stream('count', [2]).next()).rejects.toThrow('the stream to count was dropped');
+    expect(workBoots.getStats()).toMatchObject({ pendingCalls: 0, messagesDropped: 2 });
+    workBoots.terminate();
+  });
+
+  test('should throw with reject when full', () => {
+    const { workBoots } = createRecordingBoots({ maxQueueLength: 1, queueOverflow: 'reject' });
+
+    workBoots.postMessage(1);
+    expect(() => workBoots.postMessage(2)).toThrow('outbound queue is full (1 messages), the socks is not ready yet');
+    expect(workBoots.outbox.length).toBe(1);
+  });
+
+  test('should queue messages in the main thread fallback until the socks is loaded', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './work-boots.test.socks.js',
+      instantiateWorker: () => { throw new Error('no workers here'); }
+    });
+    const messages = [];
+    workBoots.onMessage(({ data }) => messages.push(data));
+
+    workBoots.postMessage({ elite: 1337 });
+    expect(messages).toEqual([]);
+
+    await workBoots.ready();
+
+    expect(messages).toContainEqual({ elite: 1337 });
+  });
+
+  test('should discard queued messages and reject ready() on terminate', async () => {
+    const { workBoots } = createRecordingBoots();
+
+    workBoots.postMessage(1);
+    workBoots.terminate();
+
+    expect(workBoots.outbox).toEqual([]);
+    await expect(workBoots.ready()).rejects.toThrow('worker terminated before socks.ready() was called');
+  });
+});
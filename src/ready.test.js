@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots, Socks } from './index.js';
+import { createMockWorkerPair, wait, noWorkers } from './test-utils.js';
+
+describe('WorkBoots.ready()', () => {
+  describe('readyTimeout', () => {
+    test('should reject when the socks never calls socks.ready()', async () => {
+      const { worker } = createMockWorkerPair();
+      const workBoots = new WorkBoots({
+        socksFile: './never-ready.js',
+        instantiateWorker: () => worker,
+        readyTimeout: 20
+      });
+
+      await expect(workBoots.ready()).rejects.toThrow('socks file ./never-ready.js did not call socks.ready() within 20ms');
+      expect(workBoots.listenerCount('message')).toBe(0);
+    });
+
+    test('should stop the worker it gave up on, even one the factory hands over late', async () => {
+      const { worker } = createMockWorkerPair();
+      const workBoots = new WorkBoots({
+        socksFile: './never-ready.js',
+        instantiateWorker: () => worker,
+        readyTimeout: 10
+      });
+      const late = createMockWorkerPair().worker;
+      const lateBoots = new WorkBoots({
+        socksFile: './never-ready.js',
+        instantiateWorker: () => wait(30).then(() => late),
+        readyTimeout: 10
+      });
+
+      await workBoots.ready().catch(() => {});
+      await lateBoots.ready().catch(() => {});
+      await wait(30);
+
+      expect(worker.terminated).toBe(true);
+      expect(late.terminated).toBe(true);
+      expect(() => workBoots.postMessage('x')).toThrow('cannot post a message, the worker failed');
+    });
+
+    test('should resolve when the handshake arrives in time', async () => {
+      const { worker, scope } = createMockWorkerPair();
+      const socks = new Socks(scope);
+      const workBoots = new WorkBoots({
+        socksFile: './worker.js',
+        instantiateWorker: () => worker,
+        readyTimeout: 50
+      });
+      const onError = jest.fn();
+      workBoots.onError(onError);
+
+      socks.ready();
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+      await wait(80);
+
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    test('should report the timeout to onError listeners', async () => {
+      const { worker } = createMockWorkerPair();
+      const workBoots = new WorkBoots({
+        socksFile: './never-ready.js',
+        instantiateWorker: () => worker,
+        readyTimeout: 10
+      });
+      const onError = jest.fn();
+      workBoots.onError(onError);
+
+      await workBoots.ready().catch(() => {});
+      await wait(0);
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'socks file ./never-ready.js did not call socks.ready() within 10ms'
+      }));
+    });
+  });
+
+  describe('strict', () => {
+    test('should reject instead of substituting a mock socks when the import fails', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './does-not-exist.socks.js',
+        instantiateWorker: noWorkers,
+        strict: true
+      });
+
+      const error = await workBoots.ready().catch(e => e);
+      expect(error.message).toMatch(/^failed to import socks file \.\/does-not-exist\.socks\.js: /);
+      expect(error.cause).toBeDefined();
+      expect(workBoots.socks).toBeUndefined();
+    });
+
+    test('should reject calls waiting on ready()', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './does-not-exist.socks.js',
+        instantiateWorker: noWorkers,
+        strict: true
+      });
+
+      await expect(workBoots.call('add', 1, 2)).rejects.toThrow('failed to import socks file');
+    });
+
+    test('should still load socks files that exist', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: noWorkers,
+        strict: true
+      });
+
+      await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+      await expect(workBoots.call('add', 1, 2)).resolves.toBe(3);
+    });
+
+    test('should keep substituting the mock socks when not strict', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './does-not-exist.socks.js',
+        instantiateWorker: noWorkers
+      });
+
+      // the mock socks never shook hands, so it claims nothing
+      await expect(workBoots.ready()).resolves.toEqual({ rpc: false, streaming: false, channels: false, transfer: false });
+      expect(typeof workBoots.socks.onMessageLocal).toBe('function');
+    });
+  });
+});
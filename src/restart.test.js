@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots } from './index.js';
+import { MockNodeWorker, wait } from './test-utils.js';
+
+const createSupervisedBoots = (restart) => {
+  const workers = [];
+  const factory = jest.fn(() => {
+    const worker = new MockNodeWorker('./worker.js');
+    jest.spyOn(worker, 'postMessage');
+    workers.push(worker);
+    return worker;
+  });
+
+  const workBoots = new WorkBoots({
+    socksFile: './worker.js',
+    instantiateWorker: factory,
+    restart
+  });
+
+  const events = [];
+  ['restarting', 'restarted', 'gave-up'].forEach(event => {
+    workBoots.on(event, detail => events.push([event, detail]));
+  });
+
+  return { workBoots, workers, factory, events };
+};
+
+// the first crashes workers exit with code 1 before they send their handshake
+const createCrashingBoots = (crashes, restart) => {
+  const workers = [];
+  const workBoots = new WorkBoots({
+    socksFile: './worker.js',
+    restart,
+    instantiateWorker: () => {
+      const worker = new MockNodeWorker('./worker.js');
+      jest.spyOn(worker, 'postMessage');
+      if (workers.push(worker) <= crashes) {
+        const emit = worker.emit.bind(worker);
+        worker.emit = (event, data) => event !== 'message' && emit(event, data);
+        setTimeout(() => worker.emit('exit', 1), 1);
+      }
+      return worker;
+    }
+  });
+  return { workBoots, workers };
+};
+
+describe('Worker restart', () => {
+  test('should replace a crashed worker and wait for a fresh handshake', async () => {
+    const { workBoots, workers, factory, events } = createSupervisedBoots({ maxRestarts: 2, backoff: 5 });
+    await workBoots.ready();
+
+    workers[0].emit('exit', 1);
+    expect(events).toEqual([['restarting', { attempt: 1, delay: 5, code: 1 }]]);
+    expect(workBoots.isRestarting).toBe(true);
+
+    await wait(60);
+
+    expect(factory).toHaveBeenCalledTimes(2);
+    expect(factory).toHaveBeenLastCalledWith('./worker.js');
+    expect(workBoots.worker).toBe(workers[1]);
+    expect(workBoots.isRestarting).toBe(false);
+    expect(events[1]).toEqual(['restarted', { attempt: 1 }]);
+  });
+
+  test('should replay messages posted while the worker was down', async () => {
+    const { workBoots, workers } = createSupervisedBoots({ backoff: 5 });
+    await workBoots.ready();
+
+    workers[0].emit('exit', 1);
+    workBoots.postMessage({ queued: 1 });
+    workBoots.postMessage({ queued: 2 });
+    expect(workers[0].postMessage).not.toHaveBeenCalled();
+
+    await wait(60);
+
+    expect(workers[1].postMessage.mock.calls.map(([data]) => data)).toEqual([{ queued: 1 }, { queued: 2 }]);
+  });
+
+  test('should back off between attempts and give up after maxRestarts', async () => {
+    const backoff = jest.fn(attempt => attempt);
+    const { workBoots, workers, factory, events } = createSupervisedBoots({ maxRestarts: 2, backoff });
+    await workBoots.ready();
+
+    workers[0].emit('exit', 1);
+    await wait(40);
+    workers[1].emit('exit', 3);
+    await wait(40);
+    workers[2].emit('exit', 3);
+
+    expect(backoff.mock.calls).toEqual([[1], [2]]);
+    expect(factory).toHaveBeenCalledTimes(3);
+    expect(events.map(([event]) => event)).toEqual(['restarting', 'restarted', 'restarting', 'restarted', 'gave-up']);
+    expect(events[4][1]).toEqual({ restarts: 2, code: 3 });
+    expect(workBoots.isRestarting).toBe(false);
+  });
+
+  test('should double a numeric backoff on every attempt', async () => {
+    const { workBoots, workers, events } = createSupervisedBoots({ maxRestarts: 3, backoff: 2 });
+    await workBoots.ready();
+
+    workers[0].emit('exit', 1);
+    await wait(40);
+    workers[1].emit('exit', 1);
+    await wait(40);
+
+    expect(events.filter(([event]) => event === 'restarting').map(([, { delay }]) => delay)).toEqual([2, 4]);
+  });
+
+  test('should not restart after a clean exit or terminate()', async () => {
+    const { workBoots, workers, factory, events } = createSupervisedBoots({ backoff: 1 });
+    await workBoots.ready();
+
+    workers[0].emit('exit', 0);
+    await wait(10);
+    expect(events).toEqual([]);
+
+    workBoots.hasExited = false;
+    workBoots.terminate();
+    workers[0].emit('exit', 1);
+    await wait(10);
+
+    expect(events).toEqual([]);
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+
+  test('should settle ready() when the first worker crashed before its handshake', async () => {
+    const { workBoots, workers } = createCrashingBoots(1, { backoff: 5 });
+    const restarted = jest.fn();
+    workBoots.on('restarted', restarted);
+    workBoots.postMessage({ queued: 1 });
+
+    await expect(workBoots.ready()).resolves.toMatchObject({ rpc: true });
+
+    expect(workers.length).toBe(2);
+    expect(restarted).toHaveBeenCalledWith({ attempt: 1 });
+    expect(workBoots.state).toBe('ready-worker');
+    expect(workers[1].postMessage.mock.calls.map(([data]) => data)).toEqual([{ queued: 1 }]);
+  });
+
+  test('should reject ready() and waiting calls when restarts give up before the first handshake', async () => {
+    const { workBoots, workers } = createCrashingBoots(3, { maxRestarts: 2, backoff: 1 });
+    const call = workBoots.call('add', 1, 2);
+
+    await expect(workBoots.ready()).rejects.toThrow('worker exited with code 1 before socks.ready() was called, gave up after 2 restarts');
+    await expect(call).rejects.toThrow('gave up after 2 restarts');
+
+    expect(workers.length).toBe(3);
+    expect(workBoots.state).toBe('failed');
+  });
+
+  test('should not restart without the restart option', async () => {
+    const { workBoots, workers, factory } = createSupervisedBoots(null);
+    await workBoots.ready();
+
+    workers[0].emit('exit', 1);
+    await wait(10);
+
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(workBoots.isRestarting).toBe(false);
+  });
+});
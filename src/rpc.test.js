@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { Socks } from './index.js';
+import { createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+describe('RPC', () => {
+  describe('Worker mode', () => {
+    test('should resolve with the return value of an exposed method', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { add: (a, b) => a + b } });
+
+      await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+    });
+
+    test('should resolve with the value of an async exposed method', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { later: async (value) => value * 2 } });
+
+      await expect(workBoots.call('later', 21)).resolves.toBe(42);
+    });
+
+    test('should correlate concurrent calls', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          delayed: (value, ms) => new Promise(resolve => setTimeout(() => resolve(value), ms))
+        }
+      });
+
+      const results = await Promise.all([
+        workBoots.call('delayed', 'slow', 30),
+        workBoots.call('delayed', 'fast', 0)
+      ]);
+
+      expect(results).toEqual(['slow', 'fast']);
+    });
+
+    test('should reject with the error thrown by the exposed method', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          fail: () => { throw new TypeError('bad input'); }
+        }
+      });
+
+      const error = await workBoots.call('fail').catch(e => e);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('TypeError');
+      expect(error.message).toBe('bad input');
+      expect(error.stack).toContain('bad input');
+    });
+
+    test('should reject when the method is not exposed', async () => {
+      const { workBoots } = createWorkerBoots({ methods: {} });
+
+      await expect(workBoots.call('missing')).rejects.toThrow('socks does not expose a method named "missing"');
+    });
+
+    test('should not deliver rpc frames to onMessage callbacks', async () => {
+      const { workBoots, socks } = createWorkerBoots({ methods: { add: (a, b) => a + b } });
+      const messages = [];
+      workBoots.onMessage(({ data }) => messages.push(data));
+
+      await workBoots.call('add', 1, 1);
+      socks.postMessage({ plain: true });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(messages).toContainEqual({ plain: true });
+      expect(messages.filter(data => data?.__workboots)).toEqual([]);
+    });
+
+    test('should reject pending calls on terminate', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { never: () => new Promise(() => {}) } });
+      await workBoots.ready();
+
+      const pending = workBoots.call('never');
+      workBoots.terminate();
+
+      await expect(pending).rejects.toThrow('worker terminated before the call completed');
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should resolve with the return value of an exposed method', async () => {
+      const workBoots = createLocalBoots();
+
+      await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+      await expect(workBoots.call('delayed', 'value', 5)).resolves.toBe('value');
+    });
+
+    test('should reject with the error thrown by the exposed method', async () => {
+      const workBoots = createLocalBoots();
+
+      const error = await workBoots.call('fail', 'bad input').catch(e => e);
+      expect(error.name).toBe('TypeError');
+      expect(error.message).toBe('bad input');
+    });
+
+    test('should deliver plain socks messages the same way a worker would', async () => {
+      const socks = new Socks();
+      const mockBoots = { onMessageLocal: jest.fn() };
+
+      socks.enterBoots(mockBoots);
+      socks.ready();
+      socks.postMessage({ test: 'data' });
+
+      expect(mockBoots.onMessageLocal).toHaveBeenLastCalledWith({ test: 'data' }, undefined, []);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { WorkBoots, Socks, WorkBootsPool } from './index.js';
+import { createMockWorkerPair, wait, createWorkerBoots } from './test-utils.js';
+
+const slow = (value, ms) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('terminate({ graceful })', () => {
+  describe('Worker mode', () => {
+    test('should let calls in flight finish and run an async onTerminate before stopping', async () => {
+      const steps = [];
+      const { workBoots, socks, worker } = createWorkerBoots({
+        methods: {
+          work: async () => {
+            await wait(20);
+            steps.push('finished');
+            return 'done';
+          }
+        }
+      });
+      socks.onTerminate(async () => {
+        steps.push('cleanup started');
+        await wait(10);
+        steps.push('cleanup done');
+      });
+      await workBoots.ready();
+
+      const pending = workBoots.call('work');
+      const stopped = await workBoots.terminate({ graceful: true });
+
+      await expect(pending).resolves.toBe('done');
+      expect(stopped).toBe(true);
+      expect(steps).toEqual(['finished', 'cleanup started', 'cleanup done']);
+      expect(worker.terminated).toBe(true);
+    });
+
+    test('should refuse calls made while shutting down', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { slow } });
+      await workBoots.ready();
+
+      const inFlight = workBoots.call('slow', 'first', 20);
+      const shutdown = workBoots.terminate({ graceful: true });
+      const late = workBoots.call('slow', 'late', 0);
+
+      await expect(late).rejects.toThrow('socks is shutting down');
+      await expect(inFlight).resolves.toBe('first');
+      await expect(shutdown).resolves.toBe(true);
+    });
+
+    test('should stop the worker anyway once the timeout expires', async () => {
+      const { workBoots, socks, worker } = createWorkerBoots({ methods: { never: () => new Promise(() => {}) } });
+      socks.onTerminate(jest.fn());
+      await workBoots.ready();
+
+      const pending = workBoots.call('never').catch(e => e);
+      await expect(workBoots.terminate({ graceful: true, timeout: 20 })).resolves.toBe(false);
+
+      expect((await pending).message).toBe('worker terminated before the call completed');
+      expect(socks.terminateCallback).not.toHaveBeenCalled();
+      expect(worker.terminated).toBe(true);
+    });
+
+    test('should report onTerminate errors and still shut down', async () => {
+      const { workBoots, socks } = createWorkerBoots();
+      socks.onTerminate(() => { throw new Error('flush failed'); });
+      const errors = [];
+      workBoots.onError(error => errors.push(error.message));
+      await workBoots.ready();
+
+      await expect(workBoots.terminate({ graceful: true })).resolves.toBe(true);
+      expect(errors).toEqual(['flush failed']);
+    });
+
+    test('should cut a graceful shutdown short with a plain terminate()', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { never: () => new Promise(() => {}) } });
+      await workBoots.ready();
+      workBoots.call('never').catch(() => {});
+
+      const shutdown = workBoots.terminate({ graceful: true, timeout: 0 });
+      await expect(workBoots.terminate()).resolves.toBe(false);
+      await expect(shutdown).resolves.toBe(false);
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should run onTerminate once, after calls in flight', async () => {
+      const workBoots = new WorkBoots({
+        socksFile: './work-boots.test.rpc.socks.js',
+        instantiateWorker: () => { throw new Error('no workers here'); }
+      });
+      await workBoots.ready();
+      const onTerminate = jest.fn();
+      workBoots.socks.onTerminate(onTerminate);
+
+      const pending = workBoots.call('delayed', 'done', 10);
+      await expect(workBoots.terminate({ graceful: true })).resolves.toBe(true);
+
+      await expect(pending).resolves.toBe('done');
+      expect(onTerminate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('should resolve false straight away without graceful', async () => {
+    const { workBoots, worker } = createWorkerBoots();
+    await workBoots.ready();
+
+    await expect(workBoots.terminate()).resolves.toBe(false);
+    expect(worker.terminated).toBe(true);
+  });
+
+  test('should shut every pool worker down gracefully', async () => {
+    const pool = new WorkBootsPool({
+      socksFile: './worker.js',
+      size: 2,
+      instantiateWorker: () => {
+        const { worker, scope } = createMockWorkerPair();
+        const socks = new Socks(scope);
+        socks.expose({ slow });
+        socks.ready();
+        return worker;
+      }
+    });
+    await pool.ready();
+
+    const results = Promise.all([pool.exec('slow', 1, 10), pool.exec('slow', 2, 10)]);
+    await expect(pool.terminate({ graceful: true })).resolves.toEqual([true, true]);
+    await expect(results).resolves.toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import { WorkBoots } from './index.js';
+import { createMockWorkerPair, wait, createLinkedWorker } from './test-utils.js';
+
+// every state boots passes through, starting with the one it is in now
+const recordStates = (workBoots) => {
+  const states = [workBoots.state];
+  workBoots.on('statechange', ({ state }) => states.push(state));
+  return states;
+};
+
+describe('WorkBoots.state', () => {
+  test('should go from initializing to ready-worker to terminated', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker().worker
+    });
+    const states = recordStates(workBoots);
+    const changes = [];
+    workBoots.on('statechange', change => changes.push(change));
+
+    await workBoots.ready();
+    workBoots.terminate();
+
+    expect(states).toEqual(['initializing', 'ready-worker', 'terminating', 'terminated']);
+    expect(changes[0]).toEqual({ state: 'ready-worker', previous: 'initializing' });
+  });
+
+  test('should be ready-local in the main thread fallback', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './work-boots.test.rpc.socks.js',
+      instantiateWorker: () => { throw new Error('no workers here'); }
+    });
+
+    await workBoots.ready();
+    expect(workBoots.state).toBe('ready-local');
+  });
+
+  test('should pass through restarting while a crashed worker is replaced', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker().worker,
+      restart: { maxRestarts: 1, backoff: 0 }
+    });
+    await workBoots.ready();
+    const states = recordStates(workBoots);
+
+    const restarted = new Promise(resolve => workBoots.on('restarted', resolve));
+    workBoots.handleExit(1);
+    await restarted;
+
+    expect(states).toEqual(['ready-worker', 'restarting', 'ready-worker']);
+  });
+
+  test('should fail when the worker crashes without restart, or ready() rejects', async () => {
+    const crashed = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker().worker
+    });
+    await crashed.ready();
+    crashed.handleExit(1);
+    expect(crashed.state).toBe('failed');
+
+    const timedOut = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createMockWorkerPair().worker,
+      readyTimeout: 10
+    });
+    await timedOut.ready().catch(() => {});
+    expect(timedOut.state).toBe('failed');
+  });
+
+  test('should stay terminating while shutting down gracefully', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker({ methods: { slow: () => wait(20) } }).worker
+    });
+    await workBoots.ready();
+
+    workBoots.call('slow');
+    const shutdown = workBoots.terminate({ graceful: true });
+    expect(workBoots.state).toBe('terminating');
+
+    await shutdown;
+    expect(workBoots.state).toBe('terminated');
+  });
+
+  test('should refuse messages, calls and streams once terminated', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker({ methods: { add: (a, b) => a + b } }).worker
+    });
+    await workBoots.ready();
+    workBoots.terminate();
+
+    expect(() => workBoots.postMessage({ late: true })).toThrow('cannot post a message, the worker was terminated');
+    await expect(workBoots.call('add', 1, 2)).rejects.toThrow('cannot post a message, the worker was terminated');
+    await expect(workBoots.stream('count', [1]).next()).rejects.toThrow('cannot post a message, the worker was terminated');
+  });
+
+  test('should refuse messages, calls and streams once a crashed worker failed', async () => {
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => createLinkedWorker({ methods: { add: (a, b) => a + b } }).worker
+    });
+    await workBoots.ready();
+    workBoots.handleExit(3);
+
+    expect(() => workBoots.postMessage('x')).toThrow('cannot post a message, the worker failed');
+    await expect(workBoots.call('add', 1, 2)).rejects.toThrow('cannot post a message, the worker failed');
+    await expect(workBoots.stream('count', [1]).next()).rejects.toThrow('cannot post a message, the worker failed');
+    expect(workBoots.getStats().pendingCalls).toBe(0);
+  });
+});
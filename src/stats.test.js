@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+const methods = {
+  add: (a, b) => a + b,
+  fail: (message) => { throw new TypeError(message); }
+};
+
+const exercise = async (workBoots) => {
+  await workBoots.ready();
+  await workBoots.call('add', 1, 2);
+  await workBoots.call('add', 3, 4);
+  await workBoots.call('fail', 'bad input').catch(() => {});
+  return workBoots.getStats();
+};
+
+describe('getStats()', () => {
+  test('should count messages and call latency in a worker', async () => {
+    const stats = await exercise(createWorkerBoots({ methods }).workBoots);
+
+    expect(stats).toMatchObject({
+      state: 'ready-worker',
+      messagesSent: 3,
+      messagesReceived: 4,
+      messagesDropped: 0,
+      queueLength: 0,
+      pendingCalls: 0,
+      activeStreams: 0,
+      restarts: 0
+    });
+    expect(stats.handshakeMs).toBeGreaterThanOrEqual(0);
+    expect(stats.latency.add).toMatchObject({ count: 2, errors: 0 });
+    expect(stats.latency.fail).toMatchObject({ count: 1, errors: 1 });
+    expect(stats.latency.add.min).toBeLessThanOrEqual(stats.latency.add.max);
+    expect(stats.latency.add.histogram.reduce((sum, { count }) => sum + count, 0)).toBe(2);
+    expect(stats.latency.add.histogram.at(-1).le).toBe(Infinity);
+  });
+
+  test('should count the same way in the main thread fallback', async () => {
+    const pick = ({ messagesSent, messagesReceived, latency }) => ({
+      messagesSent,
+      messagesReceived,
+      counts: Object.fromEntries(Object.entries(latency).map(([method, { count, errors }]) => [method, { count, errors }]))
+    });
+
+    const local = await exercise(createLocalBoots());
+    const worker = await exercise(createWorkerBoots({ methods }).workBoots);
+
+    expect(local.state).toBe('ready-local');
+    expect(pick(local)).toEqual(pick(worker));
+  });
+
+  test('should count transfers and the bytes of transferred buffers', async () => {
+    const workBoots = createWorkerBoots({ methods }).workBoots;
+    await workBoots.ready();
+
+    const buffer = new ArrayBuffer(1024);
+    const { port1 } = new MessageChannel();
+    workBoots.postMessage({ buffer, port1 }, null, [buffer, port1]);
+    port1.close();
+
+    expect(workBoots.getStats()).toMatchObject({ messagesSent: 1, transfers: 2, bytesTransferred: 1024 });
+  });
+
+  test('should report the queue and dropped messages before the socks is ready', () => {
+    const workBoots = createWorkerBoots({ methods, maxQueueLength: 2 }).workBoots;
+
+    workBoots.postMessage(1);
+    workBoots.postMessage(2);
+    workBoots.postMessage(3);
+
+    expect(workBoots.getStats()).toMatchObject({ state: 'initializing', queueLength: 2, messagesDropped: 1, messagesSent: 0 });
+  });
+
+  test('should emit stats every statsInterval ms until terminated', async () => {
+    const workBoots = createWorkerBoots({ methods, statsInterval: 10 }).workBoots;
+    const snapshots = [];
+    workBoots.on('stats', stats => snapshots.push(stats));
+
+    await workBoots.ready();
+    await workBoots.call('add', 1, 1);
+    await wait(35);
+    workBoots.terminate();
+    const emitted = snapshots.length;
+    await wait(25);
+
+    expect(emitted).toBeGreaterThanOrEqual(2);
+    expect(snapshots.length).toBe(emitted);
+    expect(snapshots.at(-1).latency.add.count).toBe(1);
+  });
+
+  test('should stop emitting stats once the worker failed', async () => {
+    const workBoots = createWorkerBoots({ methods, statsInterval: 10 }).workBoots;
+    const stats = jest.fn();
+    workBoots.on('stats', stats);
+    await workBoots.ready();
+
+    workBoots.handleExit(3);
+    stats.mockClear();
+    await wait(25);
+
+    expect(workBoots.state).toBe('failed');
+    expect(stats).not.toHaveBeenCalled();
+  });
+});
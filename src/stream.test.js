@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import { wait, createWorkerBoots, createLocalBoots } from './test-utils.js';
+
+const collect = async (iterable) => {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+};
+
+describe('streams', () => {
+  describe('Worker mode', () => {
+    test('should yield every value of an async generator in order', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          count: async function* (n) {
+            for (let i = 0; i < n; i++) {
+              yield i;
+            }
+          }
+        }
+      });
+
+      await expect(collect(workBoots.stream('count', [50]))).resolves.toEqual([...Array(50).keys()]);
+    });
+
+    test('should stream sync generators and arrays too', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          letters: function* () {
+            yield 'a';
+            yield 'b';
+          },
+          list: () => [1, 2, 3]
+        }
+      });
+
+      await expect(collect(workBoots.stream('letters'))).resolves.toEqual(['a', 'b']);
+      await expect(collect(workBoots.stream('list'))).resolves.toEqual([1, 2, 3]);
+    });
+
+    test('should throw the generator error after the values sent before it', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          failAfter: async function* (n) {
+            for (let i = 0; i < n; i++) {
+              yield i;
+            }
+            throw new RangeError(`failed after ${n}`);
+          }
+        }
+      });
+      const values = [];
+
+      const error = await (async () => {
+        for await (const value of workBoots.stream('failAfter', [2])) {
+          values.push(value);
+        }
+      })().catch(e => e);
+
+      expect(values).toEqual([0, 1]);
+      expect(error.name).toBe('RangeError');
+      expect(error.message).toBe('failed after 2');
+    });
+
+    test('should reject methods that are missing or do not return iterables', async () => {
+      const { workBoots } = createWorkerBoots({ methods: { scalar: () => 42 } });
+
+      await expect(collect(workBoots.stream('missing'))).rejects.toThrow('socks does not expose a method named "missing"');
+      await expect(collect(workBoots.stream('scalar'))).rejects.toThrow('socks method "scalar" did not return an iterable to stream');
+    });
+
+    test('should pause the generator while the consumer lags', async () => {
+      let produced = 0;
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          count: async function* (n) {
+            for (let i = 0; i < n; i++) {
+              produced++;
+              yield i;
+            }
+          }
+        }
+      });
+
+      const iterator = workBoots.stream('count', [100], { highWaterMark: 4 })[Symbol.asyncIterator]();
+      await iterator.next();
+      await wait(30);
+      expect(produced).toBeLessThanOrEqual(5);
+
+      for (let i = 0; i < 10; i++) {
+        await iterator.next();
+      }
+      await wait(30);
+      expect(produced).toBeGreaterThanOrEqual(11);
+      expect(produced).toBeLessThanOrEqual(15);
+    });
+
+    test('should stop the generator when the consumer breaks out early', async () => {
+      let finished = false;
+      const { workBoots, socks } = createWorkerBoots({
+        methods: {
+          forever: async function* () {
+            try {
+              for (let i = 0; ; i++) {
+                yield i;
+              }
+            } finally {
+              finished = true;
+            }
+          }
+        }
+      });
+
+      const values = [];
+      for await (const value of workBoots.stream('forever', [], { highWaterMark: 2 })) {
+        values.push(value);
+        if (values.length === 3) {
+          break;
+        }
+      }
+      await wait(30);
+
+      expect(values).toEqual([0, 1, 2]);
+      expect(finished).toBe(true);
+      expect(socks.streams.size).toBe(0);
+      expect(workBoots.streams.size).toBe(0);
+    });
+
+    test('should reject streams that are running on terminate', async () => {
+      const { workBoots } = createWorkerBoots({
+        methods: {
+          slow: async function* () {
+            yield 1;
+            await new Promise(() => {});
+          }
+        }
+      });
+      await workBoots.ready();
+      const iterator = workBoots.stream('slow')[Symbol.asyncIterator]();
+      await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+
+      const pending = iterator.next();
+      workBoots.terminate();
+
+      await expect(pending).rejects.toThrow('worker terminated before the stream completed');
+    });
+  });
+
+  describe('Main thread fallback', () => {
+    test('should stream values and errors the same way', async () => {
+      const workBoots = createLocalBoots({ socksFile: './work-boots.test.stream.socks.js' });
+
+      await expect(collect(workBoots.stream('count', [20]))).resolves.toEqual([...Array(20).keys()]);
+      await expect(collect(workBoots.stream('failAfter', [1]))).rejects.toThrow('failed after 1');
+    });
+
+    test('should apply backpressure', async () => {
+      const workBoots = createLocalBoots({ socksFile: './work-boots.test.stream.socks.js' });
+      const before = await workBoots.call('produced');
+
+      const iterator = workBoots.stream('count', [100], { highWaterMark: 4 })[Symbol.asyncIterator]();
+      await iterator.next();
+      await wait(20);
+
+      expect(await workBoots.call('produced') - before).toBeLessThanOrEqual(5);
+      await iterator.return();
+    });
+  });
+});
@@ -3,6 +3,16 @@
  * Provides mock workers and helper functions for testing
  */
 
+import { WorkBoots, Socks } from './index.js';
+
+// what socks.ready() sends, mocks claim every capability
+const handshake = {
+  __workboots: 'handshake',
+  version: 1,
+  name: 'mock',
+  capabilities: { rpc: true, streaming: true, channels: true, transfer: true }
+};
+
 // Mock Worker for browser environment
 export class MockWorker {
   constructor(scriptUrl) {
@@ -14,7 +24,7 @@ export class MockWorker {
     // Simulate worker initialization
     setTimeout(() => {
       if (this.onmessage) {
-        this.onmessage({ data: 'socks loaded' });
+        this.onmessage({ data: handshake });
       }
     }, 10);
   }
@@ -54,9 +64,9 @@ export class MockNodeWorker {
     this.listeners = new Map();
     this.terminated = false;
     
-    // Simulate worker initialization
+    // Simulate worker initialization, worker_threads emit bare values rather than events
     setTimeout(() => {
-      this.emit('message', { data: 'socks loaded' });
+      this.emit('message', handshake);
     }, 10);
   }
 
@@ -65,7 +75,7 @@ export class MockNodeWorker {
     
     // Simulate message processing
     setTimeout(() => {
-      this.emit('message', { data: { echo: data } });
+      this.emit('message', { echo: data });
     }, 10);
   }
 
@@ -94,6 +104,88 @@ export class MockNodeWorker {
   }
 }
 
+// Linked mocks for a worker and the "self" scope inside it, so a real Socks can answer a WorkBoots
+export class MockWorkerScope {
+  constructor() {
+    this.onmessage = null;
+    this.worker = null;
+  }
+
+  postMessage(data) {
+    setTimeout(() => {
+      if (this.worker && !this.worker.terminated && this.worker.onmessage) {
+        this.worker.onmessage({ data });
+      }
+    }, 0);
+  }
+}
+
+export class MockLinkedWorker {
+  constructor(scope) {
+    this.scope = scope;
+    this.onmessage = null;
+    this.terminated = false;
+    scope.worker = this;
+  }
+
+  postMessage(data) {
+    if (this.terminated) return;
+
+    setTimeout(() => {
+      if (this.scope.onmessage) {
+        this.scope.onmessage({ data });
+      }
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+export function createMockWorkerPair() {
+  const scope = new MockWorkerScope();
+  const worker = new MockLinkedWorker(scope);
+  return { worker, scope };
+}
+
+// an instantiateWorker that always fails, so WorkBoots falls back to the main thread
+export const noWorkers = () => { throw new Error('no workers here'); };
+
+// a real Socks in the scope of a mock worker, setup(socks) runs before socks.ready(), pass ready: false to call it yourself
+export function createLinkedWorker({ methods, setup, ready = true, socksOptions } = {}) {
+  const { worker, scope } = createMockWorkerPair();
+  const socks = new Socks(scope, socksOptions);
+  if (methods) {
+    socks.expose(methods);
+  }
+  setup?.(socks);
+  if (ready) {
+    socks.ready();
+  }
+  return { worker, scope, socks };
+}
+
+// a WorkBoots talking to a linked mock worker, see createLinkedWorker, any other options go to WorkBoots
+export function createWorkerBoots({ methods, setup, ready, socksOptions, ...options } = {}) {
+  const { worker, scope, socks } = createLinkedWorker({ methods, setup, ready, socksOptions });
+  const workBoots = new WorkBoots({
+    socksFile: './worker.js',
+    instantiateWorker: () => worker,
+    ...options
+  });
+  return { workBoots, socks, worker, scope };
+}
+
+// a WorkBoots in the main thread fallback, running the rpc socks file unless given another socksFile
+export function createLocalBoots(options = {}) {
+  return new WorkBoots({
+    socksFile: './work-boots.test.rpc.socks.js',
+    instantiateWorker: noWorkers,
+    ...options
+  });
+}
+
 // Environment detection
 export const isNode = Boolean(typeof process !== 'undefined' && process.versions && process.versions.node);
 export const isBrowser = Boolean(typeof window !== 'undefined' && typeof document !== 'undefined');
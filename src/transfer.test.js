@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { MessageChannel } from 'worker_threads';
+import { WorkBoots, Socks } from './index.js';
+import { generateLargeTransferableData, wait, createWorkerBoots } from './test-utils.js';
+
+const transferListOf = (postMessage) => postMessage.mock.calls.at(-1)[1];
+
+// an open port keeps jest running, so every channel is closed after each test, failed or not
+const channels = [];
+const openChannel = () => {
+  const channel = new MessageChannel();
+  channels.push(channel);
+  return channel;
+};
+
+afterEach(() => {
+  channels.splice(0).forEach(({ port1, port2 }) => {
+    port1.close();
+    port2.close();
+  });
+});
+
+describe('autoTransfer', () => {
+  test('should collect ArrayBuffers, MessagePorts and typed array buffers once each', async () => {
+    const { workBoots, worker } = createWorkerBoots({ autoTransfer: true, socksOptions: { autoTransfer: true } });
+    await workBoots.ready();
+    const postMessage = jest.spyOn(worker, 'postMessage');
+    const { port1, port2 } = openChannel();
+    const shared = new ArrayBuffer(8);
+    const { buffer, array } = generateLargeTransferableData(16);
+
+    workBoots.postMessage({
+      buffer,
+      array,
+      nested: [{ view: new Float32Array(shared), again: new Uint8Array(shared) }],
+      lookup: new Map([['port', port1]]),
+      tags: new Set(['plain']),
+      text: 'not transferable'
+    });
+
+    const transfer = transferListOf(postMessage);
+    expect(transfer).toHaveLength(4);
+    expect(transfer).toEqual(expect.arrayContaining([buffer, array.buffer, shared, port1]));
+  });
+
+  test('should merge with an explicit transfer list', async () => {
+    const { workBoots, worker } = createWorkerBoots({ autoTransfer: true, socksOptions: { autoTransfer: true } });
+    await workBoots.ready();
+    const postMessage = jest.spyOn(worker, 'postMessage');
+    const explicit = new ArrayBuffer(4);
+    const found = new ArrayBuffer(4);
+
+    workBoots.postMessage({ explicit, found }, null, [explicit]);
+
+    expect(transferListOf(postMessage)).toEqual([explicit, found]);
+  });
+
+  test('should copy buffers marked with keep()', async () => {
+    const { workBoots, worker } = createWorkerBoots({ autoTransfer: true, socksOptions: { autoTransfer: true } });
+    await workBoots.ready();
+    const postMessage = jest.spyOn(worker, 'postMessage');
+    const kept = WorkBoots.keep(new Uint8Array(8));
+    const sent = new ArrayBuffer(8);
+
+    workBoots.postMessage({ kept, sent, keptBuffer: kept.buffer });
+
+    expect(transferListOf(postMessage)).toEqual([sent]);
+  });
+
+  test('should not transfer anything unless enabled', async () => {
+    const { workBoots, worker } = createWorkerBoots();
+    await workBoots.ready();
+    const postMessage = jest.spyOn(worker, 'postMessage');
+
+    workBoots.postMessage({ buffer: new ArrayBuffer(8) });
+
+    expect(transferListOf(postMessage)).toEqual([]);
+  });
+
+  test('should transfer call arguments and socks replies', async () => {
+    const { workBoots, worker, scope, socks } = createWorkerBoots({ autoTransfer: true, socksOptions: { autoTransfer: true } });
+    socks.expose({ fill: (buffer) => new Uint8Array(buffer).fill(7) });
+    const toWorker = jest.spyOn(worker, 'postMessage');
+    const fromWorker = jest.spyOn(scope, 'postMessage');
+    const buffer = new ArrayBuffer(4);
+
+    const result = await workBoots.call('fill', buffer);
+
+    expect(transferListOf(toWorker)).toEqual([buffer]);
+    expect(transferListOf(fromWorker)).toEqual([result.buffer]);
+  });
+
+  test('should detach transferred buffers on a real MessagePort', async () => {
+    const { port1, port2 } = openChannel();
+    const socks = new Socks(port1);
+    const received = [];
+    socks.onMessage(({ data }) => received.push(data));
+    socks.ready();
+    const workBoots = new WorkBoots({
+      socksFile: './worker.js',
+      instantiateWorker: () => port2,
+      autoTransfer: true
+    });
+    await workBoots.ready();
+    const buffer = new ArrayBuffer(1024);
+    const kept = WorkBoots.keep(new ArrayBuffer(1024));
+
+    workBoots.postMessage({ buffer, kept });
+    await wait(20);
+
+    expect(buffer.byteLength).toBe(0);
+    expect(kept.byteLength).toBe(1024);
+    expect(received[0].buffer.byteLength).toBe(1024);
+  });
+});
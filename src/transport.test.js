@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from '@jest/globals';
+import { MessageChannel } from 'worker_threads';
+import { WorkBoots, Socks } from './index.js';
+import { MockNodeWorker, createMockWorkerPair, wait } from './test-utils.js';
+
+// an open port keeps jest running, so every channel is closed after each test, failed or not
+const channels = [];
+const openChannel = () => {
+  const channel = new MessageChannel();
+  channels.push(channel);
+  return channel;
+};
+
+afterEach(() => {
+  channels.splice(0).forEach(({ port1, port2 }) => {
+    port1.close();
+    port2.close();
+  });
+});
+
+// an in memory transport pair, the way an application would plug in its own
+const createTransportPair = () => {
+  const ends = [0, 1].map(() => ({
+    handlers: {},
+    closed: false,
+    capabilities: { transfer: false, exit: false },
+    send: jest.fn(),
+    subscribe: jest.fn(function (handlers) {
+      this.handlers = handlers;
+      return () => { this.handlers = {}; };
+    }),
+    close: jest.fn(function () { this.closed = true; })
+  }));
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    end.send.mockImplementation(data => setTimeout(() => other.handlers.message?.({ data }), 0));
+  });
+  return ends;
+};
+
+describe('transports', () => {
+  test('should expose the built-in adapters on WorkBoots and Socks', () => {
+    expect(WorkBoots.transports).toBe(Socks.transports);
+    expect(Object.keys(WorkBoots.transports)).toEqual(['worker', 'workerThreads', 'messagePort', 'childProcess', 'inProcess']);
+  });
+
+  test('should run boots and socks over a custom transport', async () => {
+    const [bootsEnd, socksEnd] = createTransportPair();
+    const socks = new Socks(socksEnd);
+    socks.expose({ add: (a, b) => a + b });
+    socks.ready();
+    const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => bootsEnd });
+
+    await expect(workBoots.call('add', 2, 3)).resolves.toBe(5);
+    expect(workBoots.transport).toBe(bootsEnd);
+    expect(bootsEnd.subscribe).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.any(Function),
+      error: expect.any(Function),
+      exit: expect.any(Function)
+    }));
+  });
+
+  test('should close a custom transport on terminate and report exit unless it reports its own', async () => {
+    const [bootsEnd] = createTransportPair();
+    const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => bootsEnd });
+    const onExit = jest.fn();
+    workBoots.onExit(onExit);
+
+    workBoots.terminate();
+    expect(bootsEnd.close).toHaveBeenCalled();
+    expect(onExit).toHaveBeenCalledWith(0);
+
+    const [exitingEnd] = createTransportPair();
+    exitingEnd.capabilities = { transfer: false, exit: true };
+    const reporting = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => exitingEnd });
+    const onReportedExit = jest.fn();
+    reporting.onExit(onReportedExit);
+    reporting.ready().catch(() => {});
+
+    reporting.terminate();
+    expect(onReportedExit).not.toHaveBeenCalled();
+    exitingEnd.handlers.exit(1);
+    expect(onReportedExit).toHaveBeenCalledWith(1);
+  });
+
+  test('should deliver errors from the transport to onError', async () => {
+    const [bootsEnd] = createTransportPair();
+    const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => bootsEnd });
+    const errors = [];
+    workBoots.onError(error => errors.push(error));
+
+    bootsEnd.handlers.error({ message: 'boom', filename: 'worker.js', lineno: 3 });
+    bootsEnd.handlers.messageerror({});
+
+    expect(errors.map(({ message }) => message)).toEqual(['boom (worker.js:3)', 'worker message could not be deserialized']);
+  });
+
+  describe('built-in adapters', () => {
+    test('worker should use onmessage style handlers', () => {
+      const { worker } = createMockWorkerPair();
+      const message = jest.fn();
+      const transport = WorkBoots.transports.worker(worker);
+
+      const unsubscribe = transport.subscribe({ message, exit: jest.fn() });
+      expect(worker.onmessage).toBe(message);
+      expect(worker.onerror).toBeUndefined();
+      unsubscribe();
+      expect(worker.onmessage).toBeNull();
+
+      transport.close();
+      expect(worker.terminated).toBe(true);
+      expect(transport.capabilities).toEqual({ transfer: true, exit: false });
+    });
+
+    test('workerThreads should wrap bare values and unsubscribe with removeListener', async () => {
+      const worker = new MockNodeWorker('./worker.js');
+      const message = jest.fn();
+      const exit = jest.fn();
+      const transport = WorkBoots.transports.workerThreads(worker);
+
+      const unsubscribe = transport.subscribe({ message, exit });
+      worker.emit('message', 'hello');
+      worker.emit('exit', 2);
+      unsubscribe();
+      worker.emit('message', 'ignored');
+
+      expect(message.mock.calls).toEqual([[{ data: 'hello' }]]);
+      expect(exit).toHaveBeenCalledWith(2);
+      expect(transport.capabilities.exit).toBe(true);
+      await wait(20);
+    });
+
+    test('messagePort should connect boots and socks over a MessageChannel', async () => {
+      const { port1, port2 } = openChannel();
+      const socks = new Socks(port1);
+      socks.expose({ greet: name => `hi ${name}` });
+      socks.ready();
+      const workBoots = new WorkBoots({ socksFile: './worker.js', instantiateWorker: () => port2 });
+      const onExit = jest.fn();
+      workBoots.onExit(onExit);
+
+      await expect(workBoots.call('greet', 'boots')).resolves.toBe('hi boots');
+      expect(workBoots.transport.capabilities).toEqual({ transfer: true, exit: false });
+
+      workBoots.terminate();
+      expect(onExit).toHaveBeenCalledWith(0);
+    });
+
+    test('inProcess should hand messages to onMessageLocal', () => {
+      const target = { onMessageLocal: jest.fn(), terminate: jest.fn() };
+      const transport = WorkBoots.transports.inProcess(target);
+
+      transport.send({ value: 1 }, []);
+      transport.close();
+
+      expect(target.onMessageLocal).toHaveBeenCalledWith({ value: 1 }, undefined, []);
+      expect(target.terminate).toHaveBeenCalled();
+      expect(transport.capabilities).toEqual({ transfer: false, exit: false });
+    });
+  });
+});
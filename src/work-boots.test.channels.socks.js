@@ -0,0 +1,14 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+const upper = socks.channel('upper');
+upper.onMessage(({ data }) => upper.postMessage(data.toUpperCase()));
+
+const math = socks.channel('math');
+math.onMessage(({ data }) => math.postMessage(data.a + data.b));
+
+socks.onMessage(({ data }) => socks.postMessage({ plain: data }));
+
+socks.ready();
+export { socks };
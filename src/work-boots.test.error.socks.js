@@ -0,0 +1,10 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+socks.onMessage(({ data }) => {
+  throw new RangeError(`cannot handle ${data.value}`);
+});
+
+socks.ready();
+export { socks };
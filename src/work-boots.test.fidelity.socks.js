@@ -0,0 +1,24 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+let last;
+
+socks.onMessage(({ data }) => {
+  last = data;
+  if (data && typeof data === 'object') {
+    data.touched = true;
+  }
+});
+
+socks.expose({
+  last: () => last,
+  sendBuffer: () => {
+    const buffer = new ArrayBuffer(8);
+    socks.postMessage({ buffer }, undefined, [buffer]);
+    return buffer.byteLength;
+  }
+});
+
+socks.ready();
+export { socks };
@@ -13,7 +13,7 @@ import {
 
 // Mock the worker_threads module for Node.js tests
 if (isNode) {
-  jest.mock('worker_threads', () => ({
+  jest.unstable_mockModule('worker_threads', () => ({
     Worker: MockNodeWorker
   }));
 }
@@ -0,0 +1,15 @@
+import { parentPort, resourceLimits } from 'worker_threads';
+import { Socks } from './work-boots.js';
+
+// a worker thread, a forked process (Socks finds process.send itself) or the main thread fallback
+const socks = new Socks(parentPort ?? undefined);
+
+socks.expose({
+  workerData: () => socks.getWorkerData(),
+  env: (name) => process.env[name],
+  heapLimit: () => resourceLimits.maxOldGenerationSizeMb,
+  execArgv: () => process.execArgv
+});
+
+socks.ready();
+export { socks };
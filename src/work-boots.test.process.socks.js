@@ -0,0 +1,14 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+socks.expose({
+  add: (a, b) => a + b,
+  pid: () => process.pid,
+  exit: (code) => process.exit(code)
+});
+
+socks.onMessage(({ data }) => socks.postMessage({ echo: data }));
+
+socks.ready();
+export { socks };
@@ -0,0 +1,30 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+let aborted = 0;
+
+socks.expose({
+  add: (a, b) => a + b,
+  delayed: (value, ms) => new Promise(resolve => setTimeout(() => resolve(value), ms)),
+  fail: (message) => {
+    const error = new TypeError(message);
+    throw error;
+  },
+  untilAborted: ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted++;
+      reject(signal.reason);
+    });
+  }),
+  aborted: () => aborted,
+  steps: (count, { reportProgress }) => {
+    for (let i = 1; i <= count; i++) {
+      reportProgress(i / count, { step: i });
+    }
+    return count;
+  }
+});
+
+socks.ready();
+export { socks };
@@ -0,0 +1,24 @@
+import { Socks } from './work-boots.js';
+
+const socks = new Socks(typeof self !== 'undefined' ? self : undefined);
+
+let produced = 0;
+
+socks.expose({
+  count: async function* (n) {
+    for (let i = 0; i < n; i++) {
+      produced++;
+      yield i;
+    }
+  },
+  failAfter: async function* (n) {
+    for (let i = 0; i < n; i++) {
+      yield i;
+    }
+    throw new RangeError(`failed after ${n}`);
+  },
+  produced: () => produced
+});
+
+socks.ready();
+export { socks };
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import { fileURLToPath } from 'url';
+import { WorkBoots } from './index.js';
+
+const socksFile = fileURLToPath(new URL('./work-boots.test.options.socks.js', import.meta.url));
+const socksModule = new URL('./work-boots.js', import.meta.url).href;
+const workerData = { tenant: 'acme', limits: [1, 2, 3] };
+
+describe('workerOptions', () => {
+  test('should forward workerData, env and resourceLimits to worker_threads', async () => {
+    const workBoots = new WorkBoots({
+      socksFile,
+      workerOptions: {
+        workerData,
+        env: { WORKBOOTS_TEST: 'thread' },
+        resourceLimits: { maxOldGenerationSizeMb: 64 }
+      }
+    });
+
+    await workBoots.ready();
+    expect(workBoots.supportsWorker).toBe(true);
+    await expect(workBoots.call('workerData')).resolves.toEqual(workerData);
+    await expect(workBoots.call('env', 'WORKBOOTS_TEST')).resolves.toBe('thread');
+    await expect(workBoots.call('heapLimit')).resolves.toBe(64);
+    workBoots.terminate();
+  });
+
+  test('should forward env and execArgv to forked processes', async () => {
+    const workBoots = new WorkBoots({
+      socksFile,
+      isolation: 'process',
+      workerOptions: {
+        workerData,
+        env: { WORKBOOTS_TEST: 'process' },
+        execArgv: ['--max-old-space-size=64']
+      }
+    });
+
+    await expect(workBoots.call('workerData')).resolves.toEqual(workerData);
+    await expect(workBoots.call('env', 'WORKBOOTS_TEST')).resolves.toBe('process');
+    await expect(workBoots.call('execArgv')).resolves.toEqual(['--max-old-space-size=64']);
+    workBoots.terminate();
+  });
+
+  test('should hand workerData to the socks in the main thread fallback', async () => {
+    const workBoots = new WorkBoots({
+      socksFile,
+      instantiateWorker: () => { throw new Error('no workers here'); },
+      workerOptions: { workerData }
+    });
+
+    await expect(workBoots.call('workerData')).resolves.toEqual(workerData);
+    expect(workBoots.socks.workerData).toEqual(workerData);
+  });
+
+  test('should forward workerOptions to inline socks workers', async () => {
+    const workBoots = WorkBoots.fromFunction(async (socks) => {
+      const { tenant } = await socks.getWorkerData();
+      socks.expose({ tenant: () => tenant });
+    }, { socksModule, workerOptions: { workerData } });
+
+    await expect(workBoots.call('tenant')).resolves.toBe('acme');
+    workBoots.terminate();
+  });
+
+  test('should resolve getWorkerData() before enterBoots in the fallback', async () => {
+    const workBoots = WorkBoots.fromFunction(async (socks) => {
+      const data = await socks.getWorkerData();
+      socks.expose({ data: () => data });
+    }, { instantiateWorker: () => { throw new Error('no workers here'); }, workerOptions: { workerData } });
+
+    await expect(workBoots.call('data')).resolves.toEqual(workerData);
+  });
+});
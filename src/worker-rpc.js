@@ -0,0 +1,22 @@
+/**
+ * RPC worker file for work-boots
+ * Exposes process() for WorkBoots.call() and WorkBootsPool.exec(), loads as a module worker
+ */
+
+import { Socks } from './work-boots.js';
+
+// browsers give a worker self, Node worker threads a parentPort, which is null in the main thread fallback
+const scope = typeof self !== 'undefined' ? self : (await import('worker_threads')).parentPort ?? undefined;
+const socks = new Socks(scope);
+
+socks.expose({
+  process: (task) => ({
+    processed: true,
+    original: task,
+    timestamp: Date.now(),
+    worker: typeof window !== 'undefined' ? 'browser' : 'node'
+  })
+});
+
+socks.ready();
+export { socks };
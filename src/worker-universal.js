@@ -14,11 +14,11 @@ class Socks {
 
   ready() {
     if (this.isWorkerSupported()) {
-      this.postMessage("socks loaded");
+      this.postMessage(this.handshake());
       this.sentReadyMessage = true;
     } else {
       if (this.boots) {
-        this.boots.onMessageLocal("socks loaded");
+        this.boots.onMessageLocal(this.handshake());
         this.sentReadyMessage = true;
       }
     }
@@ -26,6 +26,11 @@ class Socks {
     this.processReadyMessages();
   }
 
+  // protocol version 1, this socks only passes plain messages, so it claims no capabilities
+  handshake() {
+    return { __workboots: 'handshake', version: 1, name: 'worker-universal', capabilities: {} };
+  }
+
   processReadyMessages() {
     if (this.sentReadyMessage) {
       this.postsBeforeReady.forEach(args => this.postMessage(...args));